@@ -0,0 +1,206 @@
+/**
+ * Window Box
+ * Builds the 5-sided box behind the screen from a plain config object,
+ * so depth, grid, wall materials and visible walls can be changed live
+ * (the caller throws the old group away and builds a new one).
+ */
+
+import * as THREE from 'three';
+
+export const BOX_WALLS = ['left', 'right', 'floor', 'ceiling', 'back'];
+
+export const DEFAULT_BOX_CONFIG = {
+    depth: 100,           // Deep tunnel (world units)
+    divisions: 40,        // Grid lines along the depth
+    crossDivisions: 10,   // Grid lines across the box width / height
+    gridColor: '#6366f1',
+    gridOpacity: 0.5,
+    wallStyle: 'wireframe', // 'wireframe' | 'solid' | 'textured'
+    wallColor: '#111827',
+    fogNear: 10,
+    fogFar: 60,
+    walls: { left: true, right: true, floor: true, ceiling: true, back: true }
+};
+
+// Allowed ranges (same as the panel controls)
+const BOX_RANGES = {
+    depth: [20, 300],
+    divisions: [5, 100],
+    crossDivisions: [2, 40],
+    gridOpacity: [0, 1],
+    fogNear: [0, 300],
+    fogFar: [5, 300]
+};
+const INTEGER_KEYS = ['divisions', 'crossDivisions'];
+const WALL_STYLES = ['wireframe', 'solid', 'textured'];
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Merge a (partial) config into a complete one, ignoring unknown or mistyped
+ * keys and clamping numbers (presets and share links are untrusted)
+ */
+export function normalizeBoxConfig(config = {}, base = DEFAULT_BOX_CONFIG) {
+    const result = { ...base, walls: { ...base.walls } };
+
+    for (const key in DEFAULT_BOX_CONFIG) {
+        if (key === 'walls') continue;
+        const value = config[key];
+        if (typeof value !== typeof DEFAULT_BOX_CONFIG[key]) continue;
+
+        if (BOX_RANGES[key]) {
+            if (!Number.isFinite(value)) continue;
+            const [min, max] = BOX_RANGES[key];
+            const clamped = Math.min(max, Math.max(min, value));
+            result[key] = INTEGER_KEYS.includes(key) ? Math.round(clamped) : clamped;
+        } else if (key === 'wallStyle') {
+            if (WALL_STYLES.includes(value)) result[key] = value;
+        } else if (COLOR_PATTERN.test(value)) {
+            result[key] = value;
+        }
+    }
+    if (config.walls) {
+        BOX_WALLS.forEach((wall) => {
+            if (typeof config.walls[wall] === 'boolean') result.walls[wall] = config.walls[wall];
+        });
+    }
+    return result;
+}
+
+function createGridPlane(width, height, divisionsW, divisionsH, material) {
+    const geometry = new THREE.BufferGeometry();
+    const points = [];
+    for (let i = 0; i <= divisionsH; i++) {
+        const y = (i / divisionsH - 0.5) * height;
+        points.push(-width / 2, y, 0, width / 2, y, 0);
+    }
+    for (let i = 0; i <= divisionsW; i++) {
+        const x = (i / divisionsW - 0.5) * width;
+        points.push(x, -height / 2, 0, x, height / 2, 0);
+    }
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(points, 3));
+    return new THREE.LineSegments(geometry, material.clone());
+}
+
+/**
+ * Opaque wall surface behind the grid lines
+ * Textures are tiled so they keep their aspect on the long side walls.
+ */
+function createWallSurface(width, height, config, texture) {
+    const material = new THREE.MeshStandardMaterial({
+        color: config.wallStyle === 'textured' && texture ? 0xffffff : config.wallColor,
+        roughness: 0.9,
+        side: THREE.DoubleSide,
+        // Push the surface back so the grid lines on it do not z-fight
+        polygonOffset: true,
+        polygonOffsetFactor: 1,
+        polygonOffsetUnits: 1
+    });
+
+    if (config.wallStyle === 'textured' && texture) {
+        const image = texture.image;
+        const imageAspect = image && image.height ? image.width / image.height : 1;
+        material.map = texture.clone();
+        material.map.wrapS = material.map.wrapT = THREE.RepeatWrapping;
+        material.map.repeat.set(Math.max(1, Math.round(width / (height * imageAspect))), 1);
+        material.map.needsUpdate = true;
+    }
+
+    return new THREE.Mesh(new THREE.PlaneGeometry(width, height), material);
+}
+
+/**
+ * Invisible surface that only shows the shadows falling on it
+ * (lets wireframe walls ground the models)
+ */
+function createShadowCatcher(width, height) {
+    const material = new THREE.ShadowMaterial({
+        opacity: 0.5,
+        side: THREE.DoubleSide,
+        polygonOffset: true,
+        polygonOffsetFactor: 1,
+        polygonOffsetUnits: 1
+    });
+    return new THREE.Mesh(new THREE.PlaneGeometry(width, height), material);
+}
+
+/**
+ * Build the box group
+ * The window (front opening) is at z = 0, the back wall at z = -depth.
+ * texture: optional THREE.Texture for wallStyle 'textured' (owned by the caller)
+ * shadows: walls receive shadows of the models
+ */
+export function buildBox(config, { halfWidth, halfHeight, texture = null, shadows = false }) {
+    const group = new THREE.Group();
+    group.name = 'box';
+
+    const { depth, divisions, crossDivisions } = config;
+    const gridMaterial = new THREE.LineBasicMaterial({
+        color: config.gridColor, opacity: config.gridOpacity, transparent: config.gridOpacity < 1
+    });
+
+    // Size, grid divisions and placement of every wall
+    const walls = {
+        left: {
+            size: [depth, halfHeight * 2], grid: [divisions, crossDivisions],
+            position: [-halfWidth, 0, -depth / 2], rotation: [0, Math.PI / 2, 0]
+        },
+        right: {
+            size: [depth, halfHeight * 2], grid: [divisions, crossDivisions],
+            position: [halfWidth, 0, -depth / 2], rotation: [0, -Math.PI / 2, 0]
+        },
+        // The world group is rotated 180°, so +Y is the bottom of the screen
+        floor: {
+            size: [halfWidth * 2, depth], grid: [crossDivisions, divisions],
+            position: [0, halfHeight, -depth / 2], rotation: [Math.PI / 2, 0, 0]
+        },
+        ceiling: {
+            size: [halfWidth * 2, depth], grid: [crossDivisions, divisions],
+            position: [0, -halfHeight, -depth / 2], rotation: [-Math.PI / 2, 0, 0]
+        },
+        back: {
+            size: [halfWidth * 2, halfHeight * 2], grid: [crossDivisions, crossDivisions],
+            position: [0, 0, -depth], rotation: [0, 0, 0]
+        }
+    };
+
+    BOX_WALLS.forEach((name) => {
+        if (!config.walls[name]) return;
+        const wall = walls[name];
+
+        const wallGroup = new THREE.Group();
+        wallGroup.name = name;
+        wallGroup.position.set(...wall.position);
+        wallGroup.rotation.set(...wall.rotation);
+
+        if (config.wallStyle !== 'wireframe') {
+            const surface = createWallSurface(wall.size[0], wall.size[1], config, texture);
+            surface.receiveShadow = shadows;
+            wallGroup.add(surface);
+        } else if (shadows) {
+            const catcher = createShadowCatcher(wall.size[0], wall.size[1]);
+            catcher.receiveShadow = true;
+            wallGroup.add(catcher);
+        }
+        if (config.gridOpacity > 0) {
+            wallGroup.add(createGridPlane(wall.size[0], wall.size[1], wall.grid[0], wall.grid[1], gridMaterial));
+        }
+
+        group.add(wallGroup);
+    });
+
+    gridMaterial.dispose();
+    return group;
+}
+
+/**
+ * Free the GPU resources of a group built by buildBox (the caller's texture is kept)
+ */
+export function disposeBox(group) {
+    group.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) {
+            if (child.material.map) child.material.map.dispose();
+            child.material.dispose();
+        }
+    });
+}
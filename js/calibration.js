@@ -0,0 +1,146 @@
+/**
+ * Physical Screen Calibration
+ * Stores the real screen size and webcam position (in cm) so the box,
+ * projection and eye mapping can use true-scale geometry.
+ */
+
+const STORAGE_KEY = 'headtrack_calibration';
+
+// ISO/IEC 7810 ID-1 (credit card) size in cm
+const CARD_WIDTH = 8.56;
+const CARD_HEIGHT = 5.398;
+
+/**
+ * Load saved calibration (or null if the screen was never calibrated)
+ */
+export function loadCalibration() {
+    try {
+        const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (data && data.screenWidth > 0 && data.screenHeight > 0) {
+            return {
+                screenWidth: data.screenWidth,
+                screenHeight: data.screenHeight,
+                cameraOffsetX: data.cameraOffsetX || 0,
+                cameraOffsetY: data.cameraOffsetY || 0
+            };
+        }
+    } catch (e) {
+        console.warn('Calibration: Could not read saved data', e);
+    }
+    return null;
+}
+
+/**
+ * Persist calibration across sessions
+ */
+export function saveCalibration(calibration) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(calibration));
+}
+
+/**
+ * Forget the calibration (back to the default 16:9 box)
+ */
+export function clearCalibration() {
+    localStorage.removeItem(STORAGE_KEY);
+}
+
+/**
+ * Open the calibration wizard
+ * Step 1: resize an on-screen card until it matches a real credit card.
+ * Step 2: confirm/enter screen size and camera offset from the screen center.
+ * onDone receives the new calibration, or null when it was reset.
+ */
+export function openCalibrationWizard(current, onDone) {
+    const overlay = document.getElementById('calibration-overlay');
+    const cardStep = document.getElementById('calibration-step-card');
+    const measureStep = document.getElementById('calibration-step-measure');
+    const card = document.getElementById('calibration-card');
+    const inputs = {
+        screenWidth: document.getElementById('calib-screen-width'),
+        screenHeight: document.getElementById('calib-screen-height'),
+        cameraOffsetX: document.getElementById('calib-camera-x'),
+        cameraOffsetY: document.getElementById('calib-camera-y')
+    };
+    if (!overlay) return;
+
+    // Card width in CSS pixels (start at the nominal 96 dpi size)
+    let cardPx = CARD_WIDTH / 2.54 * 96;
+
+    const renderCard = () => {
+        card.style.width = cardPx + 'px';
+        card.style.height = (cardPx * CARD_HEIGHT / CARD_WIDTH) + 'px';
+    };
+
+    const fillInputs = (values) => {
+        for (const key in inputs) {
+            inputs[key].value = values[key].toFixed(1);
+        }
+    };
+
+    const showStep = (step) => {
+        cardStep.style.display = step === 'card' ? 'block' : 'none';
+        measureStep.style.display = step === 'measure' ? 'block' : 'none';
+    };
+
+    const close = () => {
+        overlay.style.display = 'none';
+    };
+
+    // onclick (not addEventListener) so reopening the wizard replaces the handlers
+    const on = (id, handler) => { document.getElementById(id).onclick = handler; };
+
+    on('calib-card-minus', () => { cardPx = Math.max(100, cardPx - 2); renderCard(); });
+    on('calib-card-plus', () => { cardPx = Math.min(1000, cardPx + 2); renderCard(); });
+
+    on('calib-card-next', () => {
+        // Card size -> pixels per cm -> physical screen size
+        const pxPerCm = cardPx / CARD_WIDTH;
+        const screenWidth = window.screen.width / pxPerCm;
+        const screenHeight = window.screen.height / pxPerCm;
+        fillInputs({
+            screenWidth,
+            screenHeight,
+            cameraOffsetX: 0,
+            cameraOffsetY: screenHeight / 2 + 1 // Typical: webcam just above the top edge
+        });
+        showStep('measure');
+    });
+
+    on('calib-card-skip', () => showStep('measure'));
+    on('calib-back', () => showStep('card'));
+
+    on('calib-save', () => {
+        const calibration = {};
+        for (const key in inputs) {
+            calibration[key] = parseFloat(inputs[key].value);
+        }
+        if (!(calibration.screenWidth > 0 && calibration.screenHeight > 0)) {
+            alert('Please enter a valid screen width and height.');
+            return;
+        }
+        calibration.cameraOffsetX = calibration.cameraOffsetX || 0;
+        calibration.cameraOffsetY = calibration.cameraOffsetY || 0;
+
+        saveCalibration(calibration);
+        close();
+        onDone(calibration);
+    });
+
+    on('calib-reset', () => {
+        clearCalibration();
+        close();
+        onDone(null);
+    });
+
+    on('calib-cancel', close);
+
+    fillInputs(current || {
+        screenWidth: 53.1,
+        screenHeight: 29.9,
+        cameraOffsetX: 0,
+        cameraOffsetY: 16.0
+    });
+    renderCard();
+    showStep('card');
+    overlay.style.display = 'block';
+}
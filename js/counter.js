@@ -1,45 +1,228 @@
 /**
- * Visitor Counter - PHP Backend Version
- * 
- * Nutzt eigenes PHP-Backend statt externem Service.
- * Counter-Daten werden auf dem Server in counter_data.txt gespeichert.
- * 
- * WICHTIG: Folgende Dateien NIEMALS löschen:
- * - /api/counter.php (das Script)
- * - /api/counter_data.txt (die Daten - wird automatisch erstellt)
+ * Visitor Counter - Client
+ *
+ * Spricht jedes Backend an, das dieses Protokoll umsetzt:
+ *   GET <apiUrl>?key=<seite>          -> { success: true, count: 123 }
+ *   GET <apiUrl>?key=<seite>&hit=1    -> zählt +1, gleiche Antwort
+ *
+ * Referenz-Server (Node, dateibasiert): server/counter-server.mjs
+ * Das ursprüngliche PHP-Backend (/api/counter.php) kannte nur einen Zähler;
+ * dass es den Parameter key auswertet, ist nicht belegt.
+ *
+ * Optional: anonyme Nutzungsstatistik (nur mit dem Node-Server, opt-in über
+ * data-counter-analytics="1" bzw. CounterConfig.analytics = true):
+ *   POST <apiUrl>?key=<seite>  Body { events: [...] }
+ * Es werden nur aggregierbare Ereignisse ohne IDs gesendet (Besuch, Sitzungsdauer,
+ * Kamera erlaubt ja/nein, angesehene Modelle, Tracking-Anteil). Bei aktivem
+ * "Do Not Track" wird nichts gesendet. Andere Scripte melden Ereignisse über
+ *   window.CounterAnalytics.track({ type: 'model', name: 'x.glb' })
+ *
+ * Konfiguration (Priorität von oben nach unten):
+ * 1. data-Attribute am Counter-Container:
+ *      <div class="visitor-counter" data-counter-url="/api/counter" data-counter-key="start">
+ * 2. globales Objekt VOR diesem Script:
+ *      <script>window.CounterConfig = { apiUrl: '/api/counter' };</script>
+ *
+ * Ohne Endpunkt (oder wenn er nicht erreichbar ist) zeigt der Counter
+ * "nicht verfügbar" an - keine erfundene Zahl.
  */
 
-const CounterConfig = {
-    // API-Endpunkt - absolute URL da wir wissen dass sie funktioniert
-    apiUrl: 'https://bestarcadegame.com/api/counter.php',
-    
-    // Session-Key um Mehrfachzählung zu verhindern
+const CounterConfig = Object.assign({
+    // API-Endpunkt (leer = kein Counter)
+    apiUrl: '',
+
+    // Seiten-Schlüssel, damit mehrere Seiten getrennt zählen
+    key: 'default',
+
+    // Session-Key um Mehrfachzählung zu verhindern (pro Seiten-Schlüssel)
     sessionKey: 'xrchris_counted',
-    
-    // Fallback-Wert wenn API nicht erreichbar (z.B. lokal)
-    fallbackCount: 10420
-};
+
+    // Anonyme Nutzungsstatistik senden (Endpunkt muss POST unterstützen)
+    analytics: false,
+
+    // Sammel-Intervall für Statistik-Ereignisse (ms)
+    flushInterval: 30000
+}, window.CounterConfig || {});
+
+/**
+ * Anonyme Nutzungsstatistik
+ * Ereignisse werden gesammelt und gebündelt gesendet. Was nicht ankommt
+ * (offline, Server down), bleibt in localStorage und wird später erneut
+ * gesendet. Beim Verlassen der Seite geht der Rest per sendBeacon raus.
+ */
+const CounterAnalytics = (() => {
+    const QUEUE_KEY = 'xrchris_analytics_queue';
+    const VISITED_KEY = 'xrchris_visited';
+    const MAX_QUEUE = 200; // Älteste Ereignisse verwerfen, falls der Server lange weg ist
+
+    const MAX_PENDING = 50;
+
+    let config = null;       // Gesetzt durch start()
+    let pending = [];        // Ereignisse vor start() (Module laufen vor DOMContentLoaded)
+    let sessionStart = 0;
+    let flushing = false;
+    const sessionEndHandlers = [];
+
+    // "Do Not Track" respektieren (verschiedene Browser-Varianten)
+    const doNotTrack = () => [navigator.doNotTrack, window.doNotTrack, navigator.msDoNotTrack]
+        .some(value => value === '1' || value === 'yes');
+
+    const readQueue = () => {
+        try {
+            return JSON.parse(localStorage.getItem(QUEUE_KEY)) || [];
+        } catch (e) {
+            return [];
+        }
+    };
+
+    const writeQueue = (queue) => {
+        try {
+            localStorage.setItem(QUEUE_KEY, JSON.stringify(queue.slice(-MAX_QUEUE)));
+        } catch (e) {
+            console.warn('Counter: Could not store analytics queue', e);
+        }
+    };
+
+    const endpoint = () => {
+        const url = new URL(config.apiUrl, window.location.href);
+        url.searchParams.set('key', config.key);
+        return url.toString();
+    };
+
+    /**
+     * Warteschlange senden; bei Fehler bleibt sie für den nächsten Versuch
+     */
+    async function flush() {
+        if (!config || flushing) return;
+        const events = readQueue();
+        if (events.length === 0) return;
+
+        flushing = true;
+        try {
+            const response = await fetch(endpoint(), {
+                method: 'POST',
+                // text/plain vermeidet den CORS-Preflight
+                headers: { 'Content-Type': 'text/plain' },
+                body: JSON.stringify({ events })
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            // Nur die gesendeten entfernen (neue könnten dazugekommen sein)
+            writeQueue(readQueue().slice(events.length));
+        } catch (error) {
+            console.warn('Counter: Analytics not sent, will retry -', error.message);
+        } finally {
+            flushing = false;
+        }
+    }
+
+    /**
+     * Sitzungsende: Dauer + Daten anderer Scripte, dann per Beacon senden
+     */
+    function endSession() {
+        if (!config) return;
+
+        track({ type: 'session', seconds: Math.round((Date.now() - sessionStart) / 1000) });
+        sessionEndHandlers.forEach((handler) => {
+            try {
+                const events = handler() || [];
+                events.forEach(track);
+            } catch (e) {
+                console.warn('Counter: Session end handler failed', e);
+            }
+        });
+
+        const events = readQueue();
+        if (events.length > 0 && navigator.sendBeacon
+            && navigator.sendBeacon(endpoint(), JSON.stringify({ events }))) {
+            writeQueue([]);
+        }
+        config = null; // Nur einmal pro Sitzung
+    }
+
+    /**
+     * Ereignis vormerken (ohne Wirkung, solange die Statistik aus ist)
+     */
+    function track(event) {
+        if (!config) {
+            if (pending && pending.length < MAX_PENDING) pending.push(event);
+            return;
+        }
+        const queue = readQueue();
+        queue.push(event);
+        writeQueue(queue);
+    }
+
+    return {
+        track,
+
+        /**
+         * Funktion, die beim Verlassen der Seite weitere Ereignisse liefert
+         * (z.B. die Tracking-Zeit aus headtrack.js)
+         */
+        onSessionEnd(handler) {
+            sessionEndHandlers.push(handler);
+        },
+
+        isEnabled() {
+            return config !== null;
+        },
+
+        /**
+         * Statistik aus: vorgemerkte Ereignisse verwerfen
+         */
+        disable() {
+            pending = null;
+        },
+
+        start(counterConfig) {
+            if (doNotTrack()) {
+                console.log('Counter: Do Not Track - no analytics');
+                this.disable();
+                return;
+            }
+
+            config = counterConfig;
+            sessionStart = Date.now();
+
+            // Wiederkehrend = schon einmal in diesem Browser gewesen (kein Identifier)
+            const returning = localStorage.getItem(VISITED_KEY) === '1';
+            localStorage.setItem(VISITED_KEY, '1');
+            track({ type: 'visit', returning });
+
+            (pending || []).forEach(track);
+            pending = null;
+
+            flush();
+            setInterval(flush, config.flushInterval);
+            window.addEventListener('online', flush);
+            window.addEventListener('pagehide', endSession);
+        }
+    };
+})();
+
+window.CounterAnalytics = CounterAnalytics;
 
 /**
  * Zählt den Besuch und holt den aktuellen Stand
  */
-async function fetchCount(shouldHit = false) {
-    const url = shouldHit 
-        ? `${CounterConfig.apiUrl}?hit=1` 
-        : CounterConfig.apiUrl;
-    
+async function fetchCount(config, shouldHit = false) {
+    const url = new URL(config.apiUrl, window.location.href);
+    url.searchParams.set('key', config.key);
+    if (shouldHit) url.searchParams.set('hit', '1');
+
     try {
-        console.log('Counter: Fetching from', url);
+        console.log('Counter: Fetching from', url.toString());
         const response = await fetch(url);
-        
+
         if (!response.ok) {
             throw new Error(`HTTP ${response.status}`);
         }
-        
+
         const data = await response.json();
         console.log('Counter: Got response', data);
-        
-        if (data.success) {
+
+        if (data.success && typeof data.count === 'number') {
             return data.count;
         } else {
             throw new Error('API returned error');
@@ -51,62 +234,99 @@ async function fetchCount(shouldHit = false) {
 }
 
 /**
- * Zeigt die Zahl im Counter an
+ * Sucht das Element für die Zahl (verschiedene mögliche IDs/Klassen)
  */
-function updateCounterDisplay(count) {
-    // Suche nach dem Counter-Element (verschiedene mögliche IDs/Klassen)
-    const numberContainer = document.getElementById('visitor-count') 
+function findNumberContainer() {
+    return document.getElementById('visitor-count')
         || document.querySelector('.visitor-counter__number')
         || document.querySelector('.counter-number');
-    
+}
+
+/**
+ * Zeigt die Zahl im Counter an
+ */
+function updateCounterDisplay(count) {
+    const numberContainer = findNumberContainer();
+
     if (!numberContainer) {
         console.error('Counter: Number container not found!');
         return;
     }
-    
+
     // Zahl formatieren (z.B. 10.420)
     const formattedCount = count.toLocaleString('de-DE');
-    
+
     // Loading-Klasse entfernen falls vorhanden
-    numberContainer.classList.remove('loading');
-    
+    numberContainer.classList.remove('loading', 'unavailable');
+
     // Zahl anzeigen
     numberContainer.textContent = formattedCount;
+    numberContainer.title = '';
     console.log('Counter: Display updated to', formattedCount);
 }
 
+/**
+ * Zeigt an, dass der Counter nicht verfügbar ist
+ */
+function showCounterUnavailable(reason) {
+    const numberContainer = findNumberContainer();
+    if (!numberContainer) return;
+
+    numberContainer.classList.remove('loading');
+    numberContainer.classList.add('unavailable');
+    numberContainer.textContent = '–';
+    numberContainer.title = `Counter nicht verfügbar (${reason})`;
+}
+
 /**
  * Initialisiert den Counter
  */
 async function initCounter() {
     // Suche nach Counter-Element (verschiedene Selektoren)
-    const counter = document.getElementById('visitor-counter') 
+    const counter = document.getElementById('visitor-counter')
         || document.querySelector('.visitor-counter');
-    
+
     if (!counter) {
         console.warn('Counter: Container element not found');
         return;
     }
-    
+
+    // data-Attribute überschreiben die globale Konfiguration
+    const config = Object.assign({}, CounterConfig);
+    if (counter.dataset.counterUrl) config.apiUrl = counter.dataset.counterUrl;
+    if (counter.dataset.counterKey) config.key = counter.dataset.counterKey;
+    if (counter.dataset.counterAnalytics) config.analytics = counter.dataset.counterAnalytics === '1';
+
+    if (!config.apiUrl) {
+        console.warn('Counter: No endpoint configured');
+        showCounterUnavailable('kein Endpunkt konfiguriert');
+        CounterAnalytics.disable();
+        return;
+    }
+
     console.log('Counter: Initializing...');
-    
+
+    if (config.analytics) CounterAnalytics.start(config);
+    else CounterAnalytics.disable();
+
     // Prüfen ob in dieser Session schon gezählt wurde
-    const alreadyCounted = sessionStorage.getItem(CounterConfig.sessionKey);
-    
+    const sessionKey = `${config.sessionKey}_${config.key}`;
+    const alreadyCounted = sessionStorage.getItem(sessionKey);
+
     // Counter abrufen (mit hit wenn noch nicht gezählt)
-    const count = await fetchCount(!alreadyCounted);
-    
+    const count = await fetchCount(config, !alreadyCounted);
+
     if (count !== null) {
         updateCounterDisplay(count);
-        
+
         // Session markieren
         if (!alreadyCounted) {
-            sessionStorage.setItem(CounterConfig.sessionKey, 'true');
+            sessionStorage.setItem(sessionKey, 'true');
         }
     } else {
-        // Fallback bei Fehler (zeigt Basis-Wert, funktioniert auch lokal)
-        console.warn('Counter API not available - showing fallback');
-        updateCounterDisplay(CounterConfig.fallbackCount);
+        // Kein Fallback-Wert: lieber ehrlich "nicht verfügbar"
+        console.warn('Counter API not available');
+        showCounterUnavailable('Server nicht erreichbar');
     }
 }
 
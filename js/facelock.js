@@ -0,0 +1,113 @@
+/**
+ * Viewer Lock-On
+ * Picks one face out of several detections and keeps following that same
+ * face across frames by bounding-box overlap, so a second person walking
+ * into frame does not steal the perspective.
+ */
+
+export const FACE_LOCK_POLICIES = ['first', 'largest', 'central'];
+
+// Minimum overlap (intersection over union) to count as the same face
+const MIN_IOU = 0.3;
+
+/**
+ * Intersection over union of two center-based bounding boxes
+ */
+export function boxIoU(a, b) {
+    const ax0 = a.xCenter - a.width / 2, ax1 = a.xCenter + a.width / 2;
+    const ay0 = a.yCenter - a.height / 2, ay1 = a.yCenter + a.height / 2;
+    const bx0 = b.xCenter - b.width / 2, bx1 = b.xCenter + b.width / 2;
+    const by0 = b.yCenter - b.height / 2, by1 = b.yCenter + b.height / 2;
+
+    const iw = Math.max(0, Math.min(ax1, bx1) - Math.max(ax0, bx0));
+    const ih = Math.max(0, Math.min(ay1, by1) - Math.max(ay0, by0));
+    const intersection = iw * ih;
+    const union = a.width * a.height + b.width * b.height - intersection;
+
+    return union > 0 ? intersection / union : 0;
+}
+
+/**
+ * Index of the face to lock on to for a policy ('first' | 'largest' | 'central')
+ */
+function pickByPolicy(detections, policy) {
+    let best = 0;
+    let bestScore = -Infinity;
+
+    detections.forEach((detection, i) => {
+        const bbox = detection.boundingBox;
+        let score;
+        switch (policy) {
+            case 'largest':
+                score = bbox.width * bbox.height;
+                break;
+            case 'central':
+                score = -Math.hypot(bbox.xCenter - 0.5, bbox.yCenter - 0.5);
+                break;
+            default: // 'first': detector order
+                score = -i;
+        }
+        if (score > bestScore) {
+            bestScore = score;
+            best = i;
+        }
+    });
+
+    return best;
+}
+
+/**
+ * Create a face lock
+ * lostTimeout: ms the locked face may be missing before another face is acquired
+ */
+export function createFaceLock({ policy = 'largest', lostTimeout = 500 } = {}) {
+    let lockedBox = null;
+    let lastSeen = 0;
+
+    return {
+        policy,
+        lostTimeout,
+
+        /**
+         * Choose the viewer among the detections
+         * Returns { index, reacquired } or null while the viewer is (briefly) lost
+         */
+        select(detections, timestamp) {
+            if (lockedBox) {
+                // Follow the locked face: best overlap with its last box
+                let index = -1;
+                let bestIoU = MIN_IOU;
+                detections.forEach((detection, i) => {
+                    const iou = boxIoU(lockedBox, detection.boundingBox);
+                    if (iou >= bestIoU) {
+                        bestIoU = iou;
+                        index = i;
+                    }
+                });
+
+                if (index >= 0) {
+                    lockedBox = { ...detections[index].boundingBox };
+                    lastSeen = timestamp;
+                    return { index, reacquired: false };
+                }
+
+                // Give the viewer a moment to come back before switching
+                if (timestamp - lastSeen < this.lostTimeout) return null;
+                lockedBox = null;
+            }
+
+            if (detections.length === 0) return null;
+
+            const index = pickByPolicy(detections, this.policy);
+            const reacquired = lastSeen > 0;
+            lockedBox = { ...detections[index].boundingBox };
+            lastSeen = timestamp;
+            return { index, reacquired };
+        },
+
+        reset() {
+            lockedBox = null;
+            lastSeen = 0;
+        }
+    };
+}
@@ -0,0 +1,183 @@
+/**
+ * Smoothing Filters
+ * Time-based 1D filters for the head position. All filters share the shape:
+ *
+ *   { filter(value, timestampMs) -> smoothed value, velocity() -> units/s, reset() }
+ *
+ * velocity() is used for short-horizon prediction (latency compensation).
+ */
+
+export const FILTER_TYPES = ['lerp', 'oneeuro', 'kalman'];
+
+/**
+ * Exponential smoothing, frame-rate independent
+ * amount is the blend factor per 60 Hz frame (the old per-frame lerp).
+ */
+export function createLerpFilter({ amount = 0.15 } = {}) {
+    let value = null;
+    let lastMeasurement = null;
+    let lastTime = null;
+    let speed = 0;
+
+    return {
+        params: { amount },
+
+        filter(measurement, timestamp) {
+            if (value === null) {
+                value = lastMeasurement = measurement;
+                lastTime = timestamp;
+                return value;
+            }
+
+            const dt = Math.max(0, timestamp - lastTime);
+            const alpha = 1 - Math.pow(1 - this.params.amount, dt / (1000 / 60));
+
+            // Speed of the measurements: the smoothed value lags behind them
+            value += (measurement - value) * alpha;
+            speed = dt > 0 ? (measurement - lastMeasurement) / (dt / 1000) : speed;
+            lastMeasurement = measurement;
+            lastTime = timestamp;
+            return value;
+        },
+
+        velocity() {
+            return speed;
+        },
+
+        reset() {
+            value = lastMeasurement = lastTime = null;
+            speed = 0;
+        }
+    };
+}
+
+/**
+ * One Euro filter (Casiez et al. 2012)
+ * Low-pass with a cutoff that rises with speed: smooth when still, responsive when moving.
+ * minCutoff in Hz, beta = speed coefficient, dCutoff = cutoff for the derivative.
+ */
+export function createOneEuroFilter({ minCutoff = 1.0, beta = 0.3, dCutoff = 1.0 } = {}) {
+    let value = null;
+    let lastMeasurement = null;
+    let derivative = 0;
+    let lastTime = null;
+
+    const smoothingFactor = (dt, cutoff) => {
+        const r = 2 * Math.PI * cutoff * dt;
+        return r / (r + 1);
+    };
+
+    return {
+        params: { minCutoff, beta, dCutoff },
+
+        filter(measurement, timestamp) {
+            if (value === null) {
+                value = lastMeasurement = measurement;
+                lastTime = timestamp;
+                return value;
+            }
+
+            const dt = (timestamp - lastTime) / 1000;
+            if (dt <= 0) return value;
+
+            const { minCutoff, beta, dCutoff } = this.params;
+
+            // Smoothed derivative of the measurements drives the cutoff
+            // (not against the lagging value, which would overstate the speed)
+            const rawDerivative = (measurement - lastMeasurement) / dt;
+            derivative += (rawDerivative - derivative) * smoothingFactor(dt, dCutoff);
+
+            const cutoff = minCutoff + beta * Math.abs(derivative);
+            value += (measurement - value) * smoothingFactor(dt, cutoff);
+
+            lastMeasurement = measurement;
+            lastTime = timestamp;
+            return value;
+        },
+
+        velocity() {
+            return derivative;
+        },
+
+        reset() {
+            value = lastMeasurement = lastTime = null;
+            derivative = 0;
+        }
+    };
+}
+
+/**
+ * Constant-velocity Kalman filter
+ * State [position, velocity]; processNoise = acceleration variance,
+ * measurementNoise = variance of the measured position.
+ */
+export function createKalmanFilter({ processNoise = 50, measurementNoise = 0.001 } = {}) {
+    let x = null;       // [position, velocity]
+    let P = null;       // 2x2 covariance [p00, p01, p10, p11]
+    let lastTime = null;
+
+    return {
+        params: { processNoise, measurementNoise },
+
+        filter(measurement, timestamp) {
+            if (x === null) {
+                x = [measurement, 0];
+                P = [1, 0, 0, 1];
+                lastTime = timestamp;
+                return measurement;
+            }
+
+            const dt = (timestamp - lastTime) / 1000;
+            if (dt <= 0) return x[0];
+            lastTime = timestamp;
+
+            const { processNoise: q, measurementNoise: r } = this.params;
+
+            // Predict: x = F x, P = F P F' + Q
+            x = [x[0] + x[1] * dt, x[1]];
+            const dt2 = dt * dt;
+            const p00 = P[0] + dt * (P[1] + P[2]) + dt2 * P[3] + q * dt2 * dt2 / 4;
+            const p01 = P[1] + dt * P[3] + q * dt2 * dt / 2;
+            const p10 = P[2] + dt * P[3] + q * dt2 * dt / 2;
+            const p11 = P[3] + q * dt2;
+
+            // Update with the position measurement (H = [1, 0])
+            const s = p00 + r;
+            const k0 = p00 / s;
+            const k1 = p10 / s;
+            const innovation = measurement - x[0];
+
+            x = [x[0] + k0 * innovation, x[1] + k1 * innovation];
+            P = [
+                (1 - k0) * p00, (1 - k0) * p01,
+                p10 - k1 * p00, p11 - k1 * p01
+            ];
+
+            return x[0];
+        },
+
+        velocity() {
+            return x ? x[1] : 0;
+        },
+
+        reset() {
+            x = P = lastTime = null;
+        }
+    };
+}
+
+/**
+ * Create a filter by type ('lerp' | 'oneeuro' | 'kalman')
+ */
+export function createFilter(type, params = {}) {
+    switch (type) {
+        case 'lerp':
+            return createLerpFilter(params);
+        case 'oneeuro':
+            return createOneEuroFilter(params);
+        case 'kalman':
+            return createKalmanFilter(params);
+        default:
+            throw new Error('Unknown filter: ' + type);
+    }
+}
@@ -0,0 +1,122 @@
+/**
+ * In-Scene Object Manipulation
+ * Click a model to select it, drag the translate/rotate/scale handles to
+ * move it. Works with the off-axis camera because picking goes through the
+ * camera's own projection matrix, and with the 180° rotated world group
+ * because the handles operate in world space.
+ */
+
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+
+// Pointer travel (px) below which a press counts as a click
+const CLICK_TOLERANCE = 5;
+
+/**
+ * Create the gizmo
+ * pickRoots()          roots of all selectable objects
+ * onPick(root)         a model was clicked
+ * onChange()           the attached root was transformed by dragging
+ * onDraggingChanged(b) drag started / ended
+ * snapPosition(p, axis) snap a world-group position on the dragged axes
+ */
+export function createObjectGizmo({ camera, canvas, scene, pickRoots, onPick, onChange, onDraggingChanged, snapPosition }) {
+    const controls = new TransformControls(camera, canvas);
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+    let snapping = true;
+    let downX = 0, downY = 0;
+    let enabled = true;
+
+    controls.setSpace('world');
+    controls.visible = false;
+    scene.add(controls);
+
+    controls.addEventListener('dragging-changed', (e) => {
+        if (onDraggingChanged) onDraggingChanged(e.value);
+    });
+
+    controls.addEventListener('objectChange', () => {
+        if (snapping && controls.mode === 'translate' && controls.axis) {
+            snapPosition(controls.object.position, controls.axis);
+        }
+        onChange();
+    });
+
+    const onPointerDown = (e) => {
+        downX = e.clientX;
+        downY = e.clientY;
+    };
+
+    const onPointerUp = (e) => {
+        if (!enabled || controls.dragging) return;
+        if (Math.hypot(e.clientX - downX, e.clientY - downY) > CLICK_TOLERANCE) return;
+
+        const rect = canvas.getBoundingClientRect();
+        pointer.set(
+            ((e.clientX - rect.left) / rect.width) * 2 - 1,
+            -((e.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        raycaster.setFromCamera(pointer, camera);
+
+        const roots = pickRoots();
+        const hit = raycaster.intersectObjects(roots, true)[0];
+        if (!hit) return;
+
+        // Walk up to the object's root
+        let node = hit.object;
+        while (node && !roots.includes(node)) node = node.parent;
+        if (node) onPick(node);
+    };
+
+    canvas.addEventListener('pointerdown', onPointerDown);
+    canvas.addEventListener('pointerup', onPointerUp);
+
+    return {
+        /**
+         * Show the handles on a root (or hide them with null)
+         */
+        attach(root) {
+            if (root && enabled) {
+                controls.attach(root);
+                controls.visible = true;
+            } else {
+                controls.detach();
+                controls.visible = false;
+            }
+        },
+
+        /**
+         * 'translate' | 'rotate' | 'scale', or 'off' to disable picking and handles
+         */
+        setMode(mode) {
+            enabled = mode !== 'off';
+            if (enabled) controls.setMode(mode);
+            controls.enabled = enabled;
+            if (!enabled) {
+                controls.detach();
+                controls.visible = false;
+            }
+        },
+
+        /**
+         * Grid snapping for translate, fixed steps for rotate / scale
+         */
+        setSnap(enabled) {
+            snapping = enabled;
+            controls.setRotationSnap(enabled ? THREE.MathUtils.degToRad(15) : null);
+            controls.setScaleSnap(enabled ? 0.1 : null);
+        },
+
+        isEnabled() {
+            return enabled;
+        },
+
+        dispose() {
+            canvas.removeEventListener('pointerdown', onPointerDown);
+            canvas.removeEventListener('pointerup', onPointerUp);
+            scene.remove(controls);
+            controls.dispose();
+        }
+    };
+}
@@ -0,0 +1,348 @@
+/**
+ * <head-tracked-window> Web Component
+ * Embeddable head-tracked box: each element has its own renderer, box and
+ * model, sized to the element instead of the window. All elements on a page
+ * share one tracker per type (one camera stream, one face detector).
+ *
+ * Attributes:
+ *   src          model URL (glTF / GLB, OBJ, FBX or STL)
+ *   strength     parallax strength (default 1.0)
+ *   smoothing    per-frame blend factor, 0.01 - 0.5 (default 0.15)
+ *   box-depth    box depth in world units (default 100)
+ *   frame-color  frame color, empty = no frame
+ *   tracker      'face' (default, falls back to pointer) | 'pointer'
+ *
+ * Usage:
+ *   <script type="module" src="js/head-tracked-window.js"></script>
+ *   <head-tracked-window src="model.glb" style="width: 400px; height: 300px"></head-tracked-window>
+ */
+
+import * as THREE from 'three';
+import { createFaceTracker, createPointerTracker } from './trackers.js';
+import { createFaceLock } from './facelock.js';
+import { createFilter } from './filters.js';
+import { buildBox, disposeBox, normalizeBoxConfig } from './box.js';
+import { createLighting } from './lighting.js';
+import { createSceneObject, updateSceneObject, playObjectClip, disposeSceneObject } from './scene-objects.js';
+import { loadModelAsset, describeLoadError } from './model-loader.js';
+import { bboxToHead, estimateDistance, eyeFromHead, offAxisFrustum, fitClipPlanes } from './tracking-math.js';
+
+const BASE_SIZE = 4;            // Window height in world units (as in headtrack.js)
+const DEFAULT_EYE_DISTANCE = 5;
+const REFERENCE_DISTANCE = 60;  // cm
+const FRAME_WIDTH = 0.1;
+
+/**
+ * Shared trackers: { tracker, video, listeners, started, ready } per tracker type
+ */
+const sharedTrackers = new Map();
+
+/**
+ * Face results -> pose for the shared face tracker (largest face, default camera)
+ */
+function createFacePoseConverter() {
+    const faceLock = createFaceLock({ policy: 'largest' });
+
+    return (results) => {
+        const now = performance.now();
+        const viewer = faceLock.select(results.detections, now);
+        if (!viewer) return null;
+
+        const bbox = results.detections[viewer.index].boundingBox;
+        const head = bboxToHead(bbox);
+        return {
+            x: head.x,
+            y: head.y,
+            distance: estimateDistance(bbox.width, { faceWidth: 15, fov: 60, min: 20, max: 300 }),
+            timestamp: now
+        };
+    };
+}
+
+/**
+ * Subscribe to the shared tracker of a type (started by the first subscriber)
+ * Resolves once the tracker runs, rejects if it cannot start.
+ */
+function acquireTracker(type, listener) {
+    let entry = sharedTrackers.get(type);
+
+    if (!entry) {
+        let video = null;
+        let tracker;
+        if (type === 'face') {
+            // One hidden video for all windows
+            video = document.createElement('video');
+            video.autoplay = video.playsInline = video.muted = true;
+            video.style.display = 'none';
+            document.body.appendChild(video);
+            tracker = createFaceTracker({ video, toPose: createFacePoseConverter() });
+        } else {
+            tracker = createPointerTracker();
+        }
+
+        entry = { tracker, video, listeners: new Set() };
+        entry.started = tracker.start((pose) => {
+            entry.listeners.forEach(notify => notify(pose));
+        });
+        entry.ready = entry.started.catch((error) => {
+            releaseEntry(type, entry);
+            throw error;
+        });
+        sharedTrackers.set(type, entry);
+    }
+
+    entry.listeners.add(listener);
+    return entry.ready;
+}
+
+/**
+ * Unsubscribe; the tracker stops when its last window is gone
+ */
+function releaseTracker(type, listener) {
+    const entry = sharedTrackers.get(type);
+    if (!entry) return;
+
+    entry.listeners.delete(listener);
+    if (entry.listeners.size === 0) releaseEntry(type, entry);
+}
+
+/**
+ * Stop a tracker once its start has settled (a camera opened after an
+ * early stop would stay on); the next subscriber gets a new tracker
+ */
+function releaseEntry(type, entry) {
+    if (sharedTrackers.get(type) === entry) sharedTrackers.delete(type);
+    const stop = () => {
+        entry.tracker.stop();
+        if (entry.video) entry.video.remove();
+    };
+    entry.started.then(stop, stop);
+}
+
+export class HeadTrackedWindow extends HTMLElement {
+    static get observedAttributes() {
+        return ['src', 'strength', 'smoothing', 'box-depth', 'frame-color', 'tracker'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' }).innerHTML = `
+            <style>
+                :host { display: block; position: relative; overflow: hidden; }
+                canvas { display: block; width: 100%; height: 100%; }
+            </style>
+            <canvas></canvas>`;
+
+        this._canvas = this.shadowRoot.querySelector('canvas');
+        this._target = { x: 0, y: 0, z: REFERENCE_DISTANCE };
+        this._onPose = (pose) => this._applyPose(pose);
+        this._trackerType = null;
+        this._object = null;
+        this._frameId = null;
+    }
+
+    connectedCallback() {
+        this._initThree();
+        this._resizeObserver = new ResizeObserver(() => this._resize());
+        this._resizeObserver.observe(this);
+        this._resize();
+        this._loadModel();
+        this._startTracker(this.getAttribute('tracker') || 'face');
+
+        let lastTime = performance.now();
+        const loop = (now) => {
+            this._frameId = requestAnimationFrame(loop);
+            const dt = Math.min(0.1, (now - lastTime) / 1000);
+            lastTime = now;
+            this._update(now, dt);
+        };
+        this._frameId = requestAnimationFrame(loop);
+    }
+
+    disconnectedCallback() {
+        cancelAnimationFrame(this._frameId);
+        this._resizeObserver.disconnect();
+        if (this._trackerType) releaseTracker(this._trackerType, this._onPose);
+        this._trackerType = null;
+
+        if (this._object) disposeSceneObject(this._object);
+        disposeBox(this._box);
+        this._renderer.dispose();
+        this._object = this._box = this._renderer = null;
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (!this._renderer || oldValue === newValue) return;
+
+        switch (name) {
+            case 'src':
+                this._loadModel();
+                break;
+            case 'smoothing':
+                this._createFilters();
+                break;
+            case 'box-depth':
+            case 'frame-color':
+                this._rebuildBox();
+                break;
+            case 'tracker':
+                this._startTracker(newValue || 'face');
+                break;
+        }
+    }
+
+    _number(name, fallback) {
+        const value = parseFloat(this.getAttribute(name));
+        return Number.isFinite(value) ? value : fallback;
+    }
+
+    _initThree() {
+        this._renderer = new THREE.WebGLRenderer({ canvas: this._canvas, antialias: true, alpha: true });
+        this._renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+
+        this._scene = new THREE.Scene();
+        this._scene.background = new THREE.Color(0x000000);
+        this._scene.fog = new THREE.Fog(0x000000, 10, 60);
+        createLighting(this._scene).apply({ shadows: false });
+
+        this._camera = new THREE.PerspectiveCamera();
+
+        // Same 180° flip as the page version
+        this._world = new THREE.Group();
+        this._world.rotation.z = Math.PI;
+        this._scene.add(this._world);
+
+        this._createFilters();
+    }
+
+    _createFilters() {
+        const amount = Math.min(0.5, Math.max(0.01, this._number('smoothing', 0.15)));
+        this._filters = {
+            x: createFilter('lerp', { amount }),
+            y: createFilter('lerp', { amount }),
+            z: createFilter('lerp', { amount })
+        };
+    }
+
+    /**
+     * Box sized to the element's aspect, plus the frame
+     */
+    _rebuildBox() {
+        if (this._box) {
+            this._world.remove(this._box);
+            disposeBox(this._box);
+        }
+
+        const width = this.clientWidth || 1;
+        const height = this.clientHeight || 1;
+        const halfHeight = BASE_SIZE / 2;
+        const halfWidth = halfHeight * width / height;
+        const config = normalizeBoxConfig({ depth: this._number('box-depth', 100) });
+
+        this._box = buildBox(config, { halfWidth, halfHeight });
+        this._box.userData = { halfWidth, halfHeight, depth: config.depth };
+
+        const frameColor = this.getAttribute('frame-color');
+        if (frameColor) {
+            const material = new THREE.MeshBasicMaterial({ color: frameColor, side: THREE.DoubleSide });
+            const bars = [
+                [halfWidth * 2, FRAME_WIDTH, 0, halfHeight - FRAME_WIDTH / 2],
+                [halfWidth * 2, FRAME_WIDTH, 0, -halfHeight + FRAME_WIDTH / 2],
+                [FRAME_WIDTH, halfHeight * 2, -halfWidth + FRAME_WIDTH / 2, 0],
+                [FRAME_WIDTH, halfHeight * 2, halfWidth - FRAME_WIDTH / 2, 0]
+            ];
+            bars.forEach(([w, h, x, y]) => {
+                const bar = new THREE.Mesh(new THREE.PlaneGeometry(w, h), material);
+                bar.position.set(x, y, 0.02);
+                this._box.add(bar);
+            });
+        }
+
+        this._world.add(this._box);
+    }
+
+    _resize() {
+        const width = this.clientWidth || 1;
+        const height = this.clientHeight || 1;
+        this._renderer.setSize(width, height, false);
+        this._rebuildBox();
+    }
+
+    _loadModel() {
+        if (this._object) {
+            this._world.remove(this._object.root);
+            disposeSceneObject(this._object);
+            this._object = null;
+        }
+
+        const src = this.getAttribute('src');
+        if (!src) return;
+
+        loadModelAsset(src, { renderer: this._renderer }).then((model) => {
+            // Attribute changed again while loading
+            if (src !== this.getAttribute('src') || !this._renderer) return;
+
+            this._object = createSceneObject({ root: model.scene, clips: model.animations, url: src });
+            if (this._object.clips.length > 0) playObjectClip(this._object, 0);
+            this._world.add(this._object.root);
+            this.dispatchEvent(new CustomEvent('load', { detail: { src } }));
+        }, (error) => {
+            console.error('head-tracked-window:', describeLoadError(error, src), error);
+            this.dispatchEvent(new CustomEvent('error', { detail: { src, error } }));
+        });
+    }
+
+    /**
+     * Join the shared tracker of a type; face falls back to pointer
+     */
+    _startTracker(type) {
+        if (this._trackerType) releaseTracker(this._trackerType, this._onPose);
+        this._trackerType = type;
+
+        acquireTracker(type, this._onPose).catch((error) => {
+            console.warn(`head-tracked-window: ${type} tracker unavailable`, error);
+            if (type !== 'pointer' && this._trackerType === type) {
+                this._trackerType = null;
+                this._startTracker('pointer');
+            }
+        });
+    }
+
+    _applyPose(pose) {
+        this._target.x = pose.x;
+        this._target.y = pose.y;
+        if (pose.distance !== null) this._target.z = pose.distance;
+    }
+
+    _update(now, dt) {
+        const { x: filterX, y: filterY, z: filterZ } = this._filters;
+        const head = {
+            x: filterX.filter(this._target.x, now),
+            y: filterY.filter(this._target.y, now),
+            distance: filterZ.filter(this._target.z / REFERENCE_DISTANCE, now) * REFERENCE_DISTANCE
+        };
+
+        const box = this._box.userData;
+        const eye = eyeFromHead(head, {
+            halfWidth: box.halfWidth,
+            halfHeight: box.halfHeight,
+            strength: this._number('strength', 1.0),
+            referenceDistance: REFERENCE_DISTANCE,
+            eyeDistance: DEFAULT_EYE_DISTANCE
+        });
+
+        const { near, far } = fitClipPlanes(eye.z, 0.02, box.depth);
+        const { left, right, bottom, top } = offAxisFrustum(box, eye, near);
+        this._camera.projectionMatrix.makePerspective(left, right, bottom, top, near, far);
+        this._camera.projectionMatrixInverse.copy(this._camera.projectionMatrix).invert();
+        this._camera.position.set(eye.x, eye.y, eye.z);
+        this._camera.updateMatrixWorld();
+
+        if (this._object) updateSceneObject(this._object, dt, now * 0.001);
+        this._renderer.render(this._scene, this._camera);
+    }
+}
+
+if (!customElements.get('head-tracked-window')) {
+    customElements.define('head-tracked-window', HeadTrackedWindow);
+}
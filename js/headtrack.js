@@ -4,7 +4,34 @@
  */
 
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { loadCalibration, openCalibrationWizard } from './calibration.js';
+import {
+    createFaceTracker, createPointerTracker, createOrientationTracker,
+    createReplayTracker, listCameras, DEFAULT_CAMERA_OPTIONS
+} from './trackers.js';
+import { createSessionRecorder, downloadSession, parseSessionFile, detectionScore } from './session.js';
+import { createFilter, FILTER_TYPES } from './filters.js';
+import { createFaceLock, FACE_LOCK_POLICIES } from './facelock.js';
+import { createStereoRenderer } from './stereo.js';
+import {
+    createSceneObject, applyObjectTransform, readObjectTransform, updateSceneObject,
+    playObjectClip, disposeSceneObject, serializeSceneObject, fitSceneObject, upgradePresetObject
+} from './scene-objects.js';
+import { createObjectGizmo } from './gizmo.js';
+import { buildBox, disposeBox, normalizeBoxConfig, DEFAULT_BOX_CONFIG, BOX_WALLS } from './box.js';
+import { createLighting, LIGHTING_PRESETS } from './lighting.js';
+import {
+    bboxToHead, estimateDistance, eyeFromHead, eyeFromHeadCalibrated,
+    offAxisFrustum, fitClipPlanes, predictAxis, blendPose
+} from './tracking-math.js';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import {
+    listPresets, loadPreset, savePreset, deletePreset, exportPreset,
+    parsePresetFile, createShareLink, presetFromUrl
+} from './presets.js';
+import { kioskFromUrl, createPlaylist } from './kiosk.js';
+import { createVideoLayer } from './video-layer.js';
+import { loadModelAsset, createFileSet, describeLoadError } from './model-loader.js';
 
 // DOM Elements
 const video = document.getElementById('camera-feed');
@@ -13,47 +40,136 @@ const threeCanvas = document.getElementById('three-canvas');
 const loadingOverlay = document.getElementById('loading-overlay');
 const permissionOverlay = document.getElementById('permission-overlay');
 const startBtn = document.getElementById('start-btn');
+const pointerBtn = document.getElementById('pointer-btn');
 const instructions = document.getElementById('instructions');
 const fpsCounter = document.getElementById('fps-counter');
 const controlsPanel = document.getElementById('sensitivity-controls');
 
+// Public API (see the end of this file); also the target of the host page events
+export const controller = new EventTarget();
+let startPromise = null; // start() runs once (button, kiosk or host page)
+
+// Usage statistics for the counter analytics (see counter.js)
+let faceActiveMs = 0;   // Time with the face tracker running
+let faceTrackedMs = 0;  // ... of which a viewer was tracked
+
+// Kiosk / attract mode (?kiosk, see kiosk.js)
+const kiosk = kioskFromUrl();
+let cameraRetryTimer = null;
+
 // FPS tracking
 let frameCount = 0;
 let lastFpsUpdate = performance.now();
 let currentFps = 0;
-
-// Face Detection
-let faceDetection;
-let camera;
+let lastFrameTime = performance.now();
+
+// Tracking provider (face / pointer / orientation / replay)
+let tracker = null;
+let trackerSwitch = Promise.resolve(); // Last queued switchTracker()
+let cameraOptions = { ...DEFAULT_CAMERA_OPTIONS }; // Device, resolution, model, detection rate
+let replaySession = null; // Last loaded session / replay file
+const recorder = createSessionRecorder();
+
+// Multi-face handling: which face is the viewer
+const faceLock = createFaceLock({ policy: 'largest' });
+const REACQUIRE_BLEND_MS = 600; // Ease-over time when switching to another face
+let reacquireBlend = null;       // { x, y, z, start }: position to ease away from
+
+// Tracking loss handling
+const LOSS_BEHAVIORS = ['hold', 'center', 'drift', 'orbit'];
+let lossBehavior = 'center';     // One of LOSS_BEHAVIORS
+let lossHoldMs = 1000;           // Keep the last pose this long before giving up
+let minTrackingConfidence = 0.5; // Detections below this score are ignored
+const LOSS_EASE_SECONDS = 0.8;   // Time constant for easing to the idle pose
+let lastPoseTime = 0;            // performance.now() of the last pose from the tracker
+let viewerConfidence = 0;        // Detection score of the current viewer
+let trackingStatus = null;       // Last status shown in the indicator
 const faceCtx = faceCanvas.getContext('2d');
 
+// +/- controls by value element id (see setControlValue)
+const floatControls = {};
+
 // Three.js
 let scene, threeCamera, renderer;
 let targetX = 0, targetY = 0;
 let currentX = 0, currentY = 0;
 
 // Settings
-let smoothingAmount = 0.15;  // Lower = smoother
+let smoothingAmount = 0.15;  // Lower = smoother (lerp filter)
 let parallaxStrength = 0.20; // Effect strength multiplier
 
-// Box dimensions
-const BOX_DEPTH = 100;      // Deep tunnel
-const GRID_DIVISIONS = 40;  // Grid line density
+// Smoothing filter pipeline (see filters.js)
+let filterType = 'oneeuro';      // 'lerp' | 'oneeuro' | 'kalman'
+let oneEuroMinCutoff = 1.0;      // Hz, lower = smoother at rest
+let oneEuroBeta = 0.3;           // Higher = less lag when moving fast
+let kalmanProcessNoise = 50;     // Higher = follows fast moves more closely
+const KALMAN_MEASUREMENT_NOISE = 0.001;
+let predictionMs = 0;            // Look-ahead to compensate camera-to-render latency
+let axisFilters;                 // One filter per axis (x, y, normalized distance)
+const filteredPose = { x: 0, y: 0, z: 1 }; // Last filter output (z normalized)
+let lastSampleTime = 0;          // Timestamp of the last sample fed to the filters
+const HOLD_RESAMPLE_MS = 100;    // No pose for this long: the target counts as held
+
+// Viewer distance estimation
+let assumedFaceWidth = 15.0; // Average face width in cm
+let cameraFov = 60;          // Horizontal field of view of the webcam in degrees
+const REFERENCE_DISTANCE = 60;  // Viewer distance (cm) that maps to DEFAULT_EYE_DISTANCE
+const DEFAULT_EYE_DISTANCE = 5; // Eye distance from the window plane in world units
+const MIN_VIEWER_DISTANCE = 20;  // Clamp range for the estimate (cm)
+const MAX_VIEWER_DISTANCE = 300;
+let targetZ = REFERENCE_DISTANCE, currentZ = REFERENCE_DISTANCE; // Viewer distance in cm
+
+// Physical screen calibration (null = uncalibrated 16:9 box, strength-based mapping)
+let calibration = loadCalibration();
 
-// Off-axis projection constants
-const nearClip = 0.1;
-const farClip = 1000;
+// Box dimensions
+const BASE_SIZE = 4;        // Box (window) height in world units
+let boxConfig = normalizeBoxConfig(DEFAULT_BOX_CONFIG); // Depth, grid, walls, fog (see box.js)
+let wallTexture = null;     // Uploaded wall image for wallStyle 'textured'
+
+// Lighting (see lighting.js)
+let lighting;
+let lightingConfig = { preset: 'default', intensity: 1.0, color: '#ffffff', shadows: true };
+
+// Video passthrough in the box (see video-layer.js)
+const videoLayer = createVideoLayer();
+let videoConfig = { mode: 'off', source: 'webcam', opacity: 1.0 }; // mode: 'off' | 'back' | 'walls' | 'reflection'
+let videoGroup = null;
+
+// Stereo output
+let stereoMode = 'mono';          // 'mono' | 'anaglyph' | 'sbs' | 'tb'
+let interpupillaryDistance = 6.3; // cm
+let stereoRenderer;
+let leftEyeCamera, rightEyeCamera;
+
+// Off-axis projection clip planes (fitted to the content every frame)
+let nearClip = 0.1;
+let farClip = 1000;
+const MIN_NEAR_CLIP = 0.01;
+const NEAR_CLIP_MARGIN = 0.9; // Fraction of the eye-to-content distance used as near plane
+const FRAME_Z = 0.02;         // Frame sits just in front of the window plane
+
+// Content in front of the window plane:
+// 'allow' = pops out over the frame, 'frame' = frame occludes it (floating window),
+// 'clip' = cut off at the window plane
+let windowViolation = 'allow';
+const windowClipPlane = new THREE.Plane(new THREE.Vector3(0, 0, -1), FRAME_Z + 0.01);
+const contentBounds = new THREE.Box3();
 
 // Scene objects
 let boxGroup;
 let worldGroup; // Group for everything to flip it
-let model; // The GLB Model
-let modelZ = 1.0; // Default Z position
-let modelBaseScale = 1.0; // Logical scale to fit screen
-let modelUserScale = 1.0; // User adjusted scale
-let modelOffsetX = 0.10; // User X offset
-let modelOffsetY = 0.0; // User Y offset
-let modelOffsetZ = 1.50; // User Z offset
+const DEFAULT_MODEL_URL = 'assets/GLB/water_splash_spiral.glb';
+let sceneObjects = [];   // Models in the box, in list order (see scene-objects.js)
+let selectedObject = null; // Target of the Size / Pos / Rot controls
+let initialObjects = [{ url: DEFAULT_MODEL_URL }]; // Loaded by initThreeJS (presets may replace)
+let objectSetGeneration = 0; // Bumped by replaceSceneObjects; older calls drop their loads
+let animationSpeed = 1.0;  // Time scale for all animation mixers
+let gizmo;                 // In-scene drag handles (see gizmo.js)
+let gizmoDragging = false;
+const MODEL_PROGRESS_DELAY_MS = 300; // Fast loads finish without flashing the overlay
+let modelLoads = 0;                  // Loads in progress (shown in the loading overlay)
+let modelProgressTimer = null;
 
 // Frame settings
 let frameWidth = 0.0;
@@ -70,35 +186,253 @@ async function init() {
     setupControls();
     setupKeyboardEvents();
     setupFileUpload();
+    setupTrackerSelect();
+    setupSessionControls();
+    setupPresets();
+    setupUsageStats();
+
+    // Preset requested via ?preset= / #preset= (shared setups)
+    try {
+        const urlPreset = await presetFromUrl();
+        if (urlPreset) {
+            applySceneSettings(urlPreset);
+            console.log('Preset loaded from URL');
+        }
+    } catch (error) {
+        console.error('Could not load preset from URL:', error);
+    }
+
+    if (kiosk) {
+        await startKiosk();
+        return;
+    }
+
+    // The host page may have started tracking meanwhile (controller.startTracking)
+    if (startPromise) return;
 
     // Show permission overlay first
     loadingOverlay.classList.add('hidden');
     permissionOverlay.style.display = 'flex';
 
-    startBtn.addEventListener('click', async () => {
-        permissionOverlay.style.display = 'none';
-        loadingOverlay.classList.remove('hidden');
-        loadingOverlay.querySelector('.loading-text').textContent = 'Initializing Camera...';
+    startBtn.addEventListener('click', () => start('face'));
+    if (pointerBtn) pointerBtn.addEventListener('click', () => start('pointer'));
+}
 
+/**
+ * Start tracking + rendering (once; later calls get the same promise)
+ */
+function start(trackerType) {
+    if (!startPromise) startPromise = startScene(trackerType);
+    return startPromise;
+}
+
+/**
+ * Without a usable webcam we fall back to the pointer tracker.
+ */
+async function startScene(trackerType) {
+    permissionOverlay.style.display = 'none';
+    loadingOverlay.classList.remove('hidden');
+    loadingOverlay.querySelector('.loading-text').textContent =
+        trackerType === 'face' ? 'Initializing Camera...' : 'Initializing...';
+
+    try {
         try {
-            await initCamera();
-            loadingOverlay.querySelector('.loading-text').textContent = 'Loading Face Detection...';
-            // Face Detection is still global/script-tag based
-            await initFaceDetection();
-            initThreeJS();
+            await switchTracker(trackerType);
+            if (trackerType === 'face') trackUsage({ type: 'camera', granted: true });
+        } catch (error) {
+            console.warn('Tracker failed, falling back to pointer:', error);
+            emit('error', { source: 'tracker', tracker: trackerType, error });
+            if (trackerType === 'face') trackUsage({ type: 'camera', granted: false });
+            await switchTracker('pointer');
+        }
+        initThreeJS();
+        // Video layer chosen by a preset before the start
+        if (videoConfig.mode !== 'off') setVideoConfig({});
+
+        loadingOverlay.classList.add('hidden');
+        // instructions.style.display = 'block'; // Moved to 3D
+        controlsPanel.style.display = 'flex';
+
+        animate();
+    } catch (error) {
+        console.error('Initialization error:', error);
+        loadingOverlay.querySelector('.loading-text').textContent = 'Error: ' + error.message;
+        emit('error', { source: 'init', error });
+    }
+}
+
+/**
+ * Unattended start: no click, no UI, playlist + idle orbit, camera recovery
+ */
+async function startKiosk() {
+    if (kiosk.playlist.length > 0) initialObjects = [{ url: kiosk.playlist[0] }];
+    setLossBehavior('orbit');
 
-            loadingOverlay.classList.add('hidden');
-            // instructions.style.display = 'block'; // Moved to 3D
-            controlsPanel.style.display = 'flex';
+    await start('face');
+    setUiVisible(false);
+    document.body.style.cursor = 'none';
 
-            animate();
+    // No camera (yet): keep trying in the background
+    if (!tracker || tracker.name !== 'face') scheduleCameraRetry();
+
+    createPlaylist(kiosk.playlist, kiosk.intervalMs, (url) => {
+        replaceSceneObjects([{ url }]);
+    }).start();
+}
+
+/**
+ * The webcam stream ended by itself (unplugged, permission revoked, ...)
+ */
+function onCameraEnded() {
+    console.warn('Camera stream ended');
+    emit('error', { source: 'camera', error: new Error('Camera stream ended') });
+    if (kiosk) scheduleCameraRetry();
+}
+
+/**
+ * Kiosk: restart face tracking until the camera is back
+ */
+function scheduleCameraRetry() {
+    if (cameraRetryTimer) return;
+
+    cameraRetryTimer = setTimeout(async () => {
+        cameraRetryTimer = null;
+        try {
+            await switchTracker('face');
+            console.log('Camera recovered');
         } catch (error) {
-            console.error('Initialization error:', error);
-            loadingOverlay.querySelector('.loading-text').textContent = 'Error: ' + error.message;
+            console.warn('Camera still unavailable:', error);
+            scheduleCameraRetry();
         }
+    }, kiosk.retryMs);
+}
+
+/**
+ * Create a tracking provider by type
+ */
+function createTracker(type) {
+    switch (type) {
+        case 'face':
+            return createFaceTracker({
+                video,
+                toPose: onFaceResults,
+                onEnded: onCameraEnded,
+                // The detector may report weaker faces than 0.5 if the confidence filter allows them
+                options: { ...cameraOptions, minDetectionConfidence: Math.min(0.5, minTrackingConfidence) }
+            });
+        case 'pointer':
+            return createPointerTracker();
+        case 'orientation':
+            return createOrientationTracker();
+        case 'replay':
+            return createReplayTracker({
+                frames: replaySession && replaySession.frames,
+                toPose: onFaceResults,
+                onTimeUpdate: updateReplayControls
+            });
+        default:
+            throw new Error('Unknown tracker: ' + type);
+    }
+}
+
+/**
+ * Stop the active tracker and start another one
+ * Switches run one after another, so two starts never share the camera.
+ */
+function switchTracker(type) {
+    const result = trackerSwitch.then(() => runTrackerSwitch(type));
+    trackerSwitch = result.catch(() => {});
+    return result;
+}
+
+async function runTrackerSwitch(type) {
+    if (tracker) tracker.stop();
+    if (recorder.isRecording()) stopRecording();
+    faceLock.reset();
+    faceCtx.clearRect(0, 0, faceCanvas.width, faceCanvas.height);
+
+    const next = createTracker(type);
+    tracker = next;
+    try {
+        await next.start(applyPose);
+    } catch (error) {
+        next.stop();
+        // Stopped on purpose meanwhile (stopTracking): not a failure
+        if (tracker !== next) return;
+        tracker = null;
+        throw error;
+    }
+    if (tracker !== next) {
+        next.stop(); // Stopped while starting: undo what the start set up
+        return;
+    }
+
+    if (type === 'face') {
+        faceCanvas.width = video.videoWidth;
+        faceCanvas.height = video.videoHeight;
+        refreshCameraList(); // Device labels are only known after permission
+    }
+
+    const trackerSelect = document.getElementById('tracker-select');
+    if (trackerSelect) trackerSelect.value = type;
+
+    // Recording needs live face results, the player bar needs a replay
+    const recordBtn = document.getElementById('record-btn');
+    if (recordBtn) recordBtn.disabled = type !== 'face';
+    const replayControls = document.getElementById('replay-controls');
+    if (replayControls) replayControls.style.display = type === 'replay' ? 'flex' : 'none';
+
+    console.log('Tracker started:', type);
+}
+
+/**
+ * Feed a normalized head pose from any tracker into the scene
+ */
+function applyPose(pose) {
+    // Dragging a handle with the mouse must not move the view at the same time
+    if (gizmoDragging && tracker && tracker.name === 'pointer') return;
+
+    lastPoseTime = performance.now();
+    targetX = pose.x;
+    targetY = pose.y;
+    if (pose.distance !== null && pose.distance !== undefined) targetZ = pose.distance;
+
+    // Filter at the capture time (a blend is sampled per frame in animate)
+    if (!reacquireBlend) filterSample(targetX, targetY, targetZ, pose.timestamp || lastPoseTime);
+
+    emit('headmove', { x: pose.x, y: pose.y, distance: pose.distance, tracker: tracker ? tracker.name : null });
+}
+
+/**
+ * Report an anonymous usage event (no-op without counter analytics / with Do Not Track)
+ */
+function trackUsage(event) {
+    if (window.CounterAnalytics) window.CounterAnalytics.track(event);
+}
+
+/**
+ * Tracking time for the analytics when the page is left
+ */
+function setupUsageStats() {
+    if (!window.CounterAnalytics) return;
+
+    window.CounterAnalytics.onSessionEnd(() => {
+        if (faceActiveMs < 1000) return [];
+        return [{
+            type: 'tracking',
+            seconds: Math.round(faceActiveMs / 1000),
+            uptime: Math.round(faceTrackedMs / faceActiveMs * 100) / 100
+        }];
     });
 }
 
+/**
+ * Dispatch an event on the public controller
+ */
+function emit(type, detail) {
+    controller.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
 /**
  * Setup File Upload
  */
@@ -106,13 +440,366 @@ function setupFileUpload() {
     const fileInput = document.getElementById('model-upload');
     if (fileInput) {
         fileInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) loadModelFiles(e.target.files);
+            fileInput.value = ''; // Allow adding the same file again
+        });
+    }
+
+    // Drag & drop onto the 3D view (all files of a model at once)
+    const hasFiles = e => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+    threeCanvas.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        threeCanvas.classList.add('drop-target');
+    });
+    threeCanvas.addEventListener('dragleave', () => threeCanvas.classList.remove('drop-target'));
+    threeCanvas.addEventListener('drop', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        threeCanvas.classList.remove('drop-target');
+        if (worldGroup && e.dataTransfer.files.length > 0) loadModelFiles(e.dataTransfer.files);
+    });
+}
+
+/**
+ * Load uploaded / dropped files as one model (e.g. .gltf + .bin + textures)
+ */
+async function loadModelFiles(fileList) {
+    let files;
+    try {
+        files = createFileSet(fileList);
+    } catch (error) {
+        showModelError(error, Array.from(fileList).map(file => file.name).join(', '));
+        return null;
+    }
+
+    const object = await loadModel(files.url, { name: files.name, format: files.format, files });
+    files.revokeResources();
+    // The main URL names the object until it is removed
+    if (object) object.blobUrl = files.url;
+    else URL.revokeObjectURL(files.url);
+    return object;
+}
+
+/**
+ * Setup tracker selection (and replay file loading)
+ */
+function setupTrackerSelect() {
+    const trackerSelect = document.getElementById('tracker-select');
+    const replayInput = document.getElementById('replay-upload');
+    if (!trackerSelect) return;
+
+    let activeType = trackerSelect.value;
+
+    const select = async (type) => {
+        try {
+            await switchTracker(type);
+            activeType = type;
+        } catch (error) {
+            console.error('Could not start tracker:', error);
+            alert('Tracker could not be started: ' + error.message);
+            trackerSelect.value = activeType;
+            // Keep tracking with the previous provider
+            if (!tracker) await switchTracker(activeType).catch(() => switchTracker('pointer'));
+        }
+    };
+
+    trackerSelect.addEventListener('change', () => {
+        if (trackerSelect.value === 'replay') {
+            // Ask for a file first; the select is reset if none is chosen
+            trackerSelect.value = activeType;
+            if (replayInput) replayInput.click();
+            return;
+        }
+        select(trackerSelect.value);
+    });
+
+    if (replayInput) {
+        replayInput.addEventListener('change', async (e) => {
             const file = e.target.files[0];
-            if (file) {
-                const url = URL.createObjectURL(file);
-                loadModel(url);
+            if (!file) return;
+            try {
+                replaySession = parseSessionFile(await file.text());
+            } catch (error) {
+                alert('Invalid replay file: ' + error.message);
+                return;
+            } finally {
+                replayInput.value = '';
+            }
+            // Reproduce the recorded conditions
+            if (replaySession.settings) applyTrackingSettings(replaySession.settings);
+            select('replay');
+        });
+    }
+}
+
+/**
+ * Setup camera device, resolution, detection model and rate
+ * Changes restart the face tracker right away (no reload).
+ */
+function setupCameraControls(setupFloatControl) {
+    const cameraSelect = document.getElementById('camera-select');
+    const resolutionSelect = document.getElementById('resolution-select');
+    const modelSelect = document.getElementById('face-model-select');
+
+    if (cameraSelect) {
+        cameraSelect.addEventListener('change', () => setCameraOptions({ deviceId: cameraSelect.value }));
+        if (navigator.mediaDevices) {
+            navigator.mediaDevices.addEventListener('devicechange', refreshCameraList);
+        }
+        refreshCameraList();
+    }
+    if (resolutionSelect) {
+        resolutionSelect.value = `${cameraOptions.width}x${cameraOptions.height}`;
+        resolutionSelect.addEventListener('change', () => {
+            const [width, height] = resolutionSelect.value.split('x').map(Number);
+            setCameraOptions({ width, height });
+        });
+    }
+    if (modelSelect) {
+        modelSelect.value = cameraOptions.model;
+        modelSelect.addEventListener('change', () => setCameraOptions({ model: modelSelect.value }));
+    }
+
+    // Detection Rate (0 - 60 Hz, 0 = every camera frame); applied without restart
+    setupFloatControl('detection-rate-value', 'detection-rate-minus', 'detection-rate-plus', cameraOptions.detectionRate, (val) => {
+        cameraOptions.detectionRate = val;
+        if (tracker && tracker.setDetectionRate) tracker.setDetectionRate(val);
+    }, 5, 0, 60);
+}
+
+/**
+ * Fill the camera picker with the available devices
+ */
+async function refreshCameraList() {
+    const cameraSelect = document.getElementById('camera-select');
+    if (!cameraSelect) return;
+
+    try {
+        const cameras = await listCameras();
+        const active = tracker && tracker.getDevice ? tracker.getDevice() : null;
+
+        cameraSelect.innerHTML = '<option value="">Default Camera</option>';
+        cameras.forEach((camera) => {
+            const option = document.createElement('option');
+            option.value = camera.deviceId;
+            option.textContent = camera.label;
+            cameraSelect.appendChild(option);
+        });
+        cameraSelect.value = cameraOptions.deviceId || (active ? active.deviceId : '');
+        if (cameraSelect.selectedIndex < 0) cameraSelect.value = '';
+    } catch (error) {
+        console.warn('Could not list cameras:', error);
+    }
+}
+
+/**
+ * Change camera settings and hot-switch a running face tracker
+ */
+async function setCameraOptions(changes) {
+    cameraOptions = { ...cameraOptions, ...changes };
+    if (!tracker || tracker.name !== 'face') return;
+
+    try {
+        await switchTracker('face');
+    } catch (error) {
+        console.error('Could not restart camera:', error);
+        emit('error', { source: 'camera', error });
+        alert('Camera could not be started: ' + error.message);
+        await switchTracker('pointer').catch(() => {});
+    }
+}
+
+/**
+ * Setup session recording and the replay player bar
+ */
+function setupSessionControls() {
+    const recordBtn = document.getElementById('record-btn');
+    const playBtn = document.getElementById('replay-play');
+    const seek = document.getElementById('replay-seek');
+
+    if (recordBtn) {
+        recordBtn.addEventListener('click', () => {
+            if (recorder.isRecording()) {
+                stopRecording();
+            } else {
+                recorder.start(getTrackingSettings(), video);
+                recordBtn.classList.add('recording');
+                recordBtn.textContent = '■ Stop & Save';
             }
         });
     }
+
+    if (playBtn) {
+        playBtn.addEventListener('click', () => {
+            if (!tracker || tracker.name !== 'replay') return;
+            if (tracker.isPlaying()) tracker.pause();
+            else tracker.play();
+            playBtn.textContent = tracker.isPlaying() ? '❚❚' : '▶';
+        });
+    }
+
+    if (seek) {
+        seek.addEventListener('input', () => {
+            if (!tracker || tracker.name !== 'replay') return;
+            tracker.seek(seek.value / 1000 * tracker.duration);
+        });
+    }
+}
+
+/**
+ * Finish the current recording and offer it as download
+ */
+function stopRecording() {
+    const session = recorder.stop();
+    const recordBtn = document.getElementById('record-btn');
+    if (recordBtn) {
+        recordBtn.classList.remove('recording');
+        recordBtn.textContent = '● Record';
+    }
+    if (session && session.frames.length > 0) {
+        downloadSession(session);
+        console.log('Session recorded:', session.frames.length, 'frames');
+    }
+}
+
+/**
+ * Sync the player bar with the replay position
+ */
+function updateReplayControls(time, duration) {
+    const seek = document.getElementById('replay-seek');
+    const timeLabel = document.getElementById('replay-time');
+    // Don't fight the user while dragging
+    if (seek && document.activeElement !== seek) {
+        seek.value = duration > 0 ? Math.round(time / duration * 1000) : 0;
+    }
+    if (timeLabel) timeLabel.textContent = (time / 1000).toFixed(1) + 's';
+}
+
+/**
+ * Snapshot of everything that influences the tracking math
+ */
+function getTrackingSettings() {
+    return {
+        smoothingAmount,
+        parallaxStrength,
+        assumedFaceWidth,
+        cameraFov,
+        filterType,
+        oneEuroMinCutoff,
+        oneEuroBeta,
+        kalmanProcessNoise,
+        predictionMs,
+        faceLockPolicy: faceLock.policy,
+        lossBehavior,
+        lossHoldMs,
+        minTrackingConfidence,
+        calibration
+    };
+}
+
+/**
+ * Restore tracking settings (e.g. from a recorded session)
+ * The calibration describes the physical setup and is kept as is.
+ */
+function applyTrackingSettings(settings) {
+    const controls = {
+        smoothingAmount: 'smoothing-value',
+        parallaxStrength: 'strength-value',
+        assumedFaceWidth: 'face-width-value',
+        cameraFov: 'fov-value',
+        oneEuroMinCutoff: 'min-cutoff-value',
+        oneEuroBeta: 'beta-value',
+        kalmanProcessNoise: 'kalman-noise-value',
+        predictionMs: 'prediction-value',
+        lossHoldMs: 'loss-hold-value',
+        minTrackingConfidence: 'min-confidence-value'
+    };
+    for (const key in controls) {
+        if (typeof settings[key] === 'number') setControlValue(controls[key], settings[key]);
+    }
+    // Unknown names (old or hand-edited presets) keep the current choice
+    if (FILTER_TYPES.includes(settings.filterType)) setFilterType(settings.filterType);
+    if (FACE_LOCK_POLICIES.includes(settings.faceLockPolicy)) setFaceLockPolicy(settings.faceLockPolicy);
+    if (LOSS_BEHAVIORS.includes(settings.lossBehavior)) setLossBehavior(settings.lossBehavior);
+}
+
+/**
+ * Choose what happens when the viewer is lost
+ */
+function setLossBehavior(behavior) {
+    lossBehavior = behavior;
+    const lossSelect = document.getElementById('loss-select');
+    if (lossSelect) lossSelect.value = behavior;
+}
+
+/**
+ * Choose how the viewer is picked among several faces
+ */
+function setFaceLockPolicy(policy) {
+    faceLock.policy = policy;
+    faceLock.reset(); // Re-pick with the new policy
+    const viewerSelect = document.getElementById('viewer-select');
+    if (viewerSelect) viewerSelect.value = policy;
+}
+
+/**
+ * Parameters for all filter types (each filter reads the ones it knows)
+ */
+function getFilterParams() {
+    return {
+        amount: smoothingAmount,
+        minCutoff: oneEuroMinCutoff,
+        beta: oneEuroBeta,
+        processNoise: kalmanProcessNoise,
+        measurementNoise: KALMAN_MEASUREMENT_NOISE
+    };
+}
+
+/**
+ * Switch the smoothing filter (restarts from the current position)
+ */
+function setFilterType(type) {
+    if (!FILTER_TYPES.includes(type)) {
+        console.warn('Unknown filter:', type);
+        return;
+    }
+    filterType = type;
+    const params = getFilterParams();
+    axisFilters = {
+        x: createFilter(type, params),
+        y: createFilter(type, params),
+        z: createFilter(type, params)
+    };
+
+    const filterSelect = document.getElementById('filter-select');
+    if (filterSelect) filterSelect.value = type;
+
+    // Only show the parameters of the active filter
+    document.querySelectorAll('[data-filter]').forEach((el) => {
+        el.style.display = el.dataset.filter === type ? '' : 'none';
+    });
+}
+
+/**
+ * Feed one target sample (distance in cm) through the axis filters
+ * Distance is filtered relative to the reference so all axes share one scale.
+ */
+function filterSample(x, y, distance, timestamp) {
+    filteredPose.x = axisFilters.x.filter(x, timestamp);
+    filteredPose.y = axisFilters.y.filter(y, timestamp);
+    filteredPose.z = axisFilters.z.filter(distance / REFERENCE_DISTANCE, timestamp);
+    lastSampleTime = timestamp;
+}
+
+/**
+ * Push changed parameters into the running filters
+ */
+function updateFilterParams() {
+    if (!axisFilters) return;
+    const params = getFilterParams();
+    Object.values(axisFilters).forEach(f => Object.assign(f.params, params));
 }
 
 /**
@@ -121,27 +808,33 @@ function setupFileUpload() {
 function setupKeyboardEvents() {
     window.addEventListener('keydown', (e) => {
         if (e.key.toLowerCase() === 'k') {
-            const visitorCounter = document.querySelector('.visitor-counter');
-            const cameraContainer = document.querySelector('.camera-container');
-            const repoLink = document.querySelector('.repo-link');
-
-            if (controlsPanel.style.display === 'none') {
-                controlsPanel.style.display = 'flex';
-                if (instructionsMesh) instructionsMesh.visible = true;
-                if (visitorCounter) visitorCounter.style.display = 'flex';
-                if (cameraContainer) cameraContainer.style.display = 'block';
-                if (repoLink) repoLink.style.display = 'block';
-            } else {
-                controlsPanel.style.display = 'none';
-                if (instructionsMesh) instructionsMesh.visible = false;
-                if (visitorCounter) visitorCounter.style.display = 'none';
-                if (cameraContainer) cameraContainer.style.display = 'none';
-                if (repoLink) repoLink.style.display = 'none';
-            }
+            setUiVisible(controlsPanel.style.display === 'none');
         }
     });
 }
 
+/**
+ * Show / hide all UI (panel, 3D instructions, counter, camera preview, link)
+ */
+function setUiVisible(visible) {
+    const visitorCounter = document.querySelector('.visitor-counter');
+    const cameraContainer = document.querySelector('.camera-container');
+    const repoLink = document.querySelector('.repo-link');
+
+    controlsPanel.style.display = visible ? 'flex' : 'none';
+    if (instructionsMesh) instructionsMesh.visible = visible;
+    if (visitorCounter) visitorCounter.style.display = visible ? 'flex' : 'none';
+    if (cameraContainer) cameraContainer.style.display = visible ? 'block' : 'none';
+    if (repoLink) repoLink.style.display = visible ? 'block' : 'none';
+}
+
+/**
+ * Set a +/- control from code (updates the variable and the display)
+ */
+function setControlValue(valueId, value) {
+    if (floatControls[valueId]) floatControls[valueId](value);
+}
+
 /**
  * Setup UI controls
  */
@@ -155,6 +848,12 @@ function setupControls() {
         if (valEl && minBtn && plusBtn) {
             valEl.textContent = initialValue.toFixed(2);
 
+            floatControls[valueId] = (value) => {
+                const newVal = Math.max(min, Math.min(max, value));
+                setter(newVal);
+                valEl.textContent = newVal.toFixed(2);
+            };
+
             minBtn.addEventListener('click', () => {
                 let newVal = parseFloat(valEl.textContent) - step;
                 newVal = Math.max(min, Math.min(max, newVal));
@@ -179,31 +878,100 @@ function setupControls() {
     // Smoothing Control (0.01 - 0.50)
     setupFloatControl('smoothing-value', 'smoothing-minus', 'smoothing-plus', smoothingAmount, (val) => {
         smoothingAmount = val;
+        updateFilterParams();
     }, 0.01, 0.01, 0.50);
 
+    // Viewer (multi-face) policy
+    const viewerSelect = document.getElementById('viewer-select');
+    if (viewerSelect) {
+        viewerSelect.value = faceLock.policy;
+        viewerSelect.addEventListener('change', () => setFaceLockPolicy(viewerSelect.value));
+    }
+
+    // Tracking loss behavior
+    const lossSelect = document.getElementById('loss-select');
+    if (lossSelect) {
+        lossSelect.value = lossBehavior;
+        lossSelect.addEventListener('change', () => setLossBehavior(lossSelect.value));
+    }
+
+    // Hold Time (0 - 5000 ms)
+    setupFloatControl('loss-hold-value', 'loss-hold-minus', 'loss-hold-plus', lossHoldMs, (val) => {
+        lossHoldMs = val;
+    }, 250, 0, 5000);
+
+    setupCameraControls(setupFloatControl);
+
+    // Min Confidence (0.30 - 0.95)
+    setupFloatControl('min-confidence-value', 'min-confidence-minus', 'min-confidence-plus', minTrackingConfidence, (val) => {
+        minTrackingConfidence = val;
+    }, 0.05, 0.3, 0.95);
+
+    // Filter selection
+    const filterSelect = document.getElementById('filter-select');
+    if (filterSelect) {
+        filterSelect.addEventListener('change', () => setFilterType(filterSelect.value));
+    }
+    setFilterType(filterType);
+
+    // One Euro Min Cutoff (0.05 - 5.0 Hz)
+    setupFloatControl('min-cutoff-value', 'min-cutoff-minus', 'min-cutoff-plus', oneEuroMinCutoff, (val) => {
+        oneEuroMinCutoff = val;
+        updateFilterParams();
+    }, 0.05, 0.05, 5.0);
+
+    // One Euro Beta (0.0 - 3.0)
+    setupFloatControl('beta-value', 'beta-minus', 'beta-plus', oneEuroBeta, (val) => {
+        oneEuroBeta = val;
+        updateFilterParams();
+    }, 0.05, 0.0, 3.0);
+
+    // Kalman Process Noise (5 - 500)
+    setupFloatControl('kalman-noise-value', 'kalman-noise-minus', 'kalman-noise-plus', kalmanProcessNoise, (val) => {
+        kalmanProcessNoise = val;
+        updateFilterParams();
+    }, 5, 5, 500);
+
+    // Prediction (0 - 150 ms)
+    setupFloatControl('prediction-value', 'prediction-minus', 'prediction-plus', predictionMs, (val) => {
+        predictionMs = val;
+    }, 5, 0, 150);
+
     // Scale Control (0.1 - 5.0)
-    setupFloatControl('scale-value', 'scale-minus', 'scale-plus', modelUserScale, (val) => {
-        modelUserScale = val;
+    // Transform controls act on the selected object
+    const setSelected = (key) => (val) => {
+        if (!selectedObject) return;
+        selectedObject[key] = val;
         updateModelTransform();
-    }, 0.1, 0.1, 5.0);
+    };
+
+    setupFloatControl('scale-value', 'scale-minus', 'scale-plus', 1.0, setSelected('userScale'), 0.1, 0.1, 5.0);
 
     // Position X Control (-5.0 to 5.0)
-    setupFloatControl('pos-x-value', 'pos-x-minus', 'pos-x-plus', modelOffsetX, (val) => {
-        modelOffsetX = val;
-        updateModelTransform();
-    }, 0.1, -5.0, 5.0);
+    setupFloatControl('pos-x-value', 'pos-x-minus', 'pos-x-plus', 0.0, setSelected('offsetX'), 0.1, -5.0, 5.0);
 
     // Position Y Control (-5.0 to 5.0)
-    setupFloatControl('pos-y-value', 'pos-y-minus', 'pos-y-plus', modelOffsetY, (val) => {
-        modelOffsetY = val;
-        updateModelTransform();
-    }, 0.1, -5.0, 5.0);
+    setupFloatControl('pos-y-value', 'pos-y-minus', 'pos-y-plus', 0.0, setSelected('offsetY'), 0.1, -5.0, 5.0);
 
     // Position Z Control (-5.0 to 5.0)
-    setupFloatControl('pos-z-value', 'pos-z-minus', 'pos-z-plus', modelOffsetZ, (val) => {
-        modelOffsetZ = val;
-        updateModelTransform();
-    }, 0.1, -10.0, 5.0);
+    setupFloatControl('pos-z-value', 'pos-z-minus', 'pos-z-plus', 1.50, setSelected('offsetZ'), 0.1, -10.0, 5.0);
+
+    // Rotation Controls (-180 to 180 degrees)
+    setupFloatControl('rot-x-value', 'rot-x-minus', 'rot-x-plus', 0, setSelected('rotationX'), 15, -180, 180);
+    setupFloatControl('rot-y-value', 'rot-y-minus', 'rot-y-plus', 0, setSelected('rotationY'), 15, -180, 180);
+    setupFloatControl('rot-z-value', 'rot-z-minus', 'rot-z-plus', 0, setSelected('rotationZ'), 15, -180, 180);
+
+    setupObjectList();
+
+    // Face Width Control (10 - 25 cm)
+    setupFloatControl('face-width-value', 'face-width-minus', 'face-width-plus', assumedFaceWidth, (val) => {
+        assumedFaceWidth = val;
+    }, 0.5, 10.0, 25.0);
+
+    // Camera FOV Control (30 - 120 degrees)
+    setupFloatControl('fov-value', 'fov-minus', 'fov-plus', cameraFov, (val) => {
+        cameraFov = val;
+    }, 5, 30, 120);
 
     // Frame Width Control (0.0 to 2.0)
     setupFloatControl('frame-w-value', 'frame-w-minus', 'frame-w-plus', frameWidth, (val) => {
@@ -211,6 +979,72 @@ function setupControls() {
         updateFrame();
     }, 0.05, 0.0, 2.0);
 
+    // Screen Calibration
+    const calibrateBtn = document.getElementById('calibrate-btn');
+    if (calibrateBtn) {
+        calibrateBtn.addEventListener('click', () => {
+            openCalibrationWizard(calibration, (newCalibration) => {
+                calibration = newCalibration;
+                updateCalibrationStatus();
+                rebuildBox();
+            });
+        });
+    }
+    updateCalibrationStatus();
+
+    // Stereo Mode
+    const stereoSelect = document.getElementById('stereo-select');
+    if (stereoSelect) {
+        stereoSelect.value = stereoMode;
+        stereoSelect.addEventListener('change', () => setStereoMode(stereoSelect.value));
+    }
+
+    // Interpupillary Distance (5.0 - 7.5 cm)
+    setupFloatControl('ipd-value', 'ipd-minus', 'ipd-plus', interpupillaryDistance, (val) => {
+        interpupillaryDistance = val;
+    }, 0.1, 5.0, 7.5);
+
+    // Animation: clip, play/pause, speed
+    const clipSelect = document.getElementById('clip-select');
+    if (clipSelect) {
+        clipSelect.addEventListener('change', () => playClip(parseInt(clipSelect.value, 10)));
+    }
+    const animPlayBtn = document.getElementById('anim-play');
+    if (animPlayBtn) animPlayBtn.addEventListener('click', toggleAnimationPaused);
+
+    // Animation Speed (0.1 - 3.0)
+    setupFloatControl('anim-speed-value', 'anim-speed-minus', 'anim-speed-plus', animationSpeed, (val) => {
+        animationSpeed = val;
+        sceneObjects.forEach((obj) => { if (obj.mixer) obj.mixer.timeScale = val; });
+    }, 0.1, 0.1, 3.0);
+
+    // Idle motion toggles of the selected object (off = play animated assets as authored)
+    const spinToggle = document.getElementById('spin-toggle');
+    if (spinToggle) {
+        spinToggle.addEventListener('change', () => setModelSpin(spinToggle.checked));
+    }
+    const floatToggle = document.getElementById('float-toggle');
+    if (floatToggle) {
+        floatToggle.addEventListener('change', () => setModelFloat(floatToggle.checked));
+    }
+
+    // Placement of the selected object: centering, floor snap, fit size
+    const autoCenterToggle = document.getElementById('auto-center-toggle');
+    if (autoCenterToggle) {
+        autoCenterToggle.addEventListener('change', () => setModelFit({ autoCenter: autoCenterToggle.checked }));
+    }
+    const floorSnapToggle = document.getElementById('floor-snap-toggle');
+    if (floorSnapToggle) {
+        floorSnapToggle.addEventListener('change', () => setModelFit({ floorSnap: floorSnapToggle.checked }));
+    }
+    const fitSelect = document.getElementById('fit-select');
+    if (fitSelect) fitSelect.addEventListener('change', () => setModelFit({ fit: fitSelect.value }));
+
+    // Fit Fraction (0.05 - 1.0 of the window / depth)
+    setupFloatControl('fit-fraction-value', 'fit-fraction-minus', 'fit-fraction-plus', 0.5, (val) => {
+        setModelFit({ fitFraction: val });
+    }, 0.05, 0.05, 1.0);
+
     // Frame Color Control
     const colorPicker = document.getElementById('frame-color');
     if (colorPicker) {
@@ -220,6 +1054,378 @@ function setupControls() {
             updateFrame();
         });
     }
+
+    setupBoxControls(setupFloatControl);
+    setupLightingControls(setupFloatControl);
+    setupVideoControls(setupFloatControl);
+
+    // Window violation (content in front of the screen)
+    const violationSelect = document.getElementById('violation-select');
+    if (violationSelect) {
+        violationSelect.value = windowViolation;
+        violationSelect.addEventListener('change', () => setWindowViolation(violationSelect.value));
+    }
+}
+
+/**
+ * Lighting preset, intensity, key color, shadows and environment map
+ */
+function setupLightingControls(setupFloatControl) {
+    const lightingSelect = document.getElementById('lighting-select');
+    if (lightingSelect) {
+        lightingSelect.value = lightingConfig.preset;
+        lightingSelect.addEventListener('change', () => setLighting({ preset: lightingSelect.value }));
+    }
+
+    // Light Intensity (0.0 - 3.0)
+    setupFloatControl('light-intensity-value', 'light-intensity-minus', 'light-intensity-plus', lightingConfig.intensity, (val) => {
+        setLighting({ intensity: val });
+    }, 0.1, 0.0, 3.0);
+
+    const lightColor = document.getElementById('light-color');
+    if (lightColor) {
+        lightColor.value = lightingConfig.color;
+        lightColor.addEventListener('input', () => setLighting({ color: lightColor.value }));
+    }
+
+    const shadowToggle = document.getElementById('shadow-toggle');
+    if (shadowToggle) {
+        shadowToggle.checked = lightingConfig.shadows;
+        shadowToggle.addEventListener('change', () => setLighting({ shadows: shadowToggle.checked }));
+    }
+
+    const envInput = document.getElementById('env-upload');
+    if (envInput) {
+        envInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file && lighting) loadEnvironmentMap(file);
+            envInput.value = '';
+        });
+    }
+    const envClear = document.getElementById('env-clear');
+    if (envClear) envClear.addEventListener('click', () => lighting && lighting.setEnvironment(null));
+}
+
+/**
+ * Video layer: mode, source (webcam / uploaded file) and opacity
+ */
+function setupVideoControls(setupFloatControl) {
+    const modeSelect = document.getElementById('video-mode-select');
+    if (modeSelect) modeSelect.addEventListener('change', () => setVideoConfig({ mode: modeSelect.value }));
+
+    const sourceSelect = document.getElementById('video-source-select');
+    const videoInput = document.getElementById('video-upload');
+    if (sourceSelect) {
+        sourceSelect.addEventListener('change', () => {
+            // A file is only used once one was picked
+            if (sourceSelect.value === 'file') {
+                if (videoInput) videoInput.click();
+                sourceSelect.value = videoConfig.source;
+            } else {
+                setVideoConfig({ source: 'webcam' });
+            }
+        });
+    }
+    if (videoInput) {
+        videoInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) loadVideoFile(file);
+            videoInput.value = '';
+        });
+    }
+
+    // Video Opacity (0.05 - 1.0)
+    setupFloatControl('video-opacity-value', 'video-opacity-minus', 'video-opacity-plus', videoConfig.opacity, (val) => {
+        setVideoConfig({ opacity: val });
+    }, 0.05, 0.05, 1.0);
+
+    updateVideoControls();
+}
+
+/**
+ * Show the current video settings in the panel
+ */
+function updateVideoControls() {
+    const modeSelect = document.getElementById('video-mode-select');
+    if (modeSelect) modeSelect.value = videoConfig.mode;
+    const sourceSelect = document.getElementById('video-source-select');
+    if (sourceSelect) sourceSelect.value = videoConfig.source;
+}
+
+/**
+ * Box depth, grid, walls and fog (every change rebuilds the box)
+ */
+function setupBoxControls(setupFloatControl) {
+    const setBox = (key) => (val) => setBoxConfig({ [key]: val });
+    const setBoxInt = (key) => (val) => setBoxConfig({ [key]: Math.round(val) });
+
+    // Depth (20 - 300 world units)
+    setupFloatControl('box-depth-value', 'box-depth-minus', 'box-depth-plus', boxConfig.depth, setBox('depth'), 10, 20, 300);
+
+    // Grid density (lines along the depth / across width and height)
+    setupFloatControl('grid-divisions-value', 'grid-divisions-minus', 'grid-divisions-plus', boxConfig.divisions, setBoxInt('divisions'), 5, 5, 100);
+    setupFloatControl('grid-cross-value', 'grid-cross-minus', 'grid-cross-plus', boxConfig.crossDivisions, setBoxInt('crossDivisions'), 2, 2, 40);
+
+    // Grid Opacity (0 hides the lines)
+    setupFloatControl('grid-opacity-value', 'grid-opacity-minus', 'grid-opacity-plus', boxConfig.gridOpacity, setBox('gridOpacity'), 0.05, 0.0, 1.0);
+
+    // Fog range (0 - 300 world units)
+    setupFloatControl('fog-near-value', 'fog-near-minus', 'fog-near-plus', boxConfig.fogNear, setBox('fogNear'), 5, 0, 300);
+    setupFloatControl('fog-far-value', 'fog-far-minus', 'fog-far-plus', boxConfig.fogFar, setBox('fogFar'), 5, 5, 300);
+
+    const gridColor = document.getElementById('grid-color');
+    if (gridColor) gridColor.addEventListener('change', () => setBoxConfig({ gridColor: gridColor.value }));
+
+    const wallStyleSelect = document.getElementById('wall-style-select');
+    if (wallStyleSelect) {
+        wallStyleSelect.addEventListener('change', () => setBoxConfig({ wallStyle: wallStyleSelect.value }));
+    }
+    const wallColor = document.getElementById('wall-color');
+    if (wallColor) wallColor.addEventListener('change', () => setBoxConfig({ wallColor: wallColor.value }));
+
+    const textureInput = document.getElementById('wall-texture-upload');
+    if (textureInput) {
+        textureInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) loadWallTexture(file);
+            textureInput.value = '';
+        });
+    }
+
+    // Show / hide individual walls
+    BOX_WALLS.forEach((wall) => {
+        const toggle = document.getElementById('wall-' + wall);
+        if (toggle) toggle.addEventListener('change', () => setBoxConfig({ walls: { [wall]: toggle.checked } }));
+    });
+
+    updateBoxControls();
+}
+
+/**
+ * Show the current box config in the panel (e.g. after loading a preset)
+ */
+function updateBoxControls() {
+    const values = {
+        'box-depth-value': boxConfig.depth,
+        'grid-divisions-value': boxConfig.divisions,
+        'grid-cross-value': boxConfig.crossDivisions,
+        'grid-opacity-value': boxConfig.gridOpacity,
+        'fog-near-value': boxConfig.fogNear,
+        'fog-far-value': boxConfig.fogFar
+    };
+    for (const id in values) {
+        const el = document.getElementById(id);
+        if (el) el.textContent = values[id].toFixed(2);
+    }
+
+    const inputs = {
+        'grid-color': boxConfig.gridColor,
+        'wall-style-select': boxConfig.wallStyle,
+        'wall-color': boxConfig.wallColor
+    };
+    for (const id in inputs) {
+        const el = document.getElementById(id);
+        if (el) el.value = inputs[id];
+    }
+
+    BOX_WALLS.forEach((wall) => {
+        const toggle = document.getElementById('wall-' + wall);
+        if (toggle) toggle.checked = boxConfig.walls[wall];
+    });
+}
+
+/**
+ * Switch between mono and the stereo output modes
+ */
+function setStereoMode(mode) {
+    stereoMode = mode;
+    // Free the anaglyph buffers when they are not needed
+    if (stereoMode !== 'anaglyph' && stereoRenderer) stereoRenderer.dispose();
+    const stereoSelect = document.getElementById('stereo-select');
+    if (stereoSelect) stereoSelect.value = mode;
+}
+
+/**
+ * Snapshot of all scene settings (for presets)
+ * Uploaded models only exist in this tab, so their blob URL is not kept.
+ */
+function getSceneSettings() {
+    const settings = {
+        ...getTrackingSettings(),
+        frameWidth,
+        frameColor,
+        stereoMode,
+        windowViolation,
+        interpupillaryDistance,
+        animationSpeed,
+        box: normalizeBoxConfig(boxConfig), // Copy (an uploaded wall image is not included)
+        lighting: { ...lightingConfig },    // Without the uploaded environment map
+        video: { mode: videoConfig.mode, opacity: videoConfig.opacity }, // Source is per device
+        objects: sceneObjects.map(serializeSceneObject).filter(Boolean)
+    };
+    // The calibration belongs to the physical screen, not to the scene
+    delete settings.calibration;
+    return settings;
+}
+
+/**
+ * Apply scene settings (missing keys keep their current value)
+ */
+function applySceneSettings(settings) {
+    applyTrackingSettings(settings);
+
+    const controls = {
+        frameWidth: 'frame-w-value',
+        interpupillaryDistance: 'ipd-value',
+        animationSpeed: 'anim-speed-value'
+    };
+    for (const key in controls) {
+        if (typeof settings[key] === 'number') setControlValue(controls[key], settings[key]);
+    }
+
+    if (typeof settings.frameColor === 'string') {
+        frameColor = settings.frameColor;
+        const colorPicker = document.getElementById('frame-color');
+        if (colorPicker) colorPicker.value = frameColor;
+        updateFrame();
+    }
+    if (settings.stereoMode) setStereoMode(settings.stereoMode);
+    if (settings.windowViolation) setWindowViolation(settings.windowViolation);
+
+    if (settings.lighting && typeof settings.lighting === 'object') {
+        const { preset, intensity, color, shadows } = settings.lighting;
+        setLighting({
+            ...(typeof preset === 'string' && { preset }),
+            ...(typeof color === 'string' && { color }),
+            ...(typeof shadows === 'boolean' && { shadows })
+        });
+        if (typeof intensity === 'number') setControlValue('light-intensity-value', intensity);
+
+        const ids = { 'lighting-select': 'preset', 'light-color': 'color' };
+        for (const id in ids) {
+            const el = document.getElementById(id);
+            if (el) el.value = lightingConfig[ids[id]];
+        }
+        const shadowToggle = document.getElementById('shadow-toggle');
+        if (shadowToggle) shadowToggle.checked = lightingConfig.shadows;
+    }
+
+    if (settings.box && typeof settings.box === 'object') {
+        setBoxConfig(settings.box);
+        updateBoxControls();
+    }
+
+    if (settings.video && typeof settings.video === 'object') {
+        const { mode, opacity } = settings.video;
+        if (typeof opacity === 'number') setControlValue('video-opacity-value', opacity);
+        if (['off', 'back', 'walls', 'reflection'].includes(mode)) setVideoConfig({ mode });
+    }
+
+    // Entries without a model URL cannot be loaded
+    const objects = Array.isArray(settings.objects)
+        ? settings.objects.filter(entry => entry && typeof entry.url === 'string').map(upgradePresetObject)
+        : [];
+    if (objects.length > 0) {
+        // Before the scene exists this just changes what initThreeJS loads
+        if (worldGroup) replaceSceneObjects(objects);
+        else initialObjects = objects;
+    }
+}
+
+/**
+ * Setup preset save / load / export / import / share
+ */
+function setupPresets() {
+    const presetSelect = document.getElementById('preset-select');
+    const importInput = document.getElementById('preset-import-file');
+    if (!presetSelect) return;
+
+    const refreshList = (selected = '') => {
+        presetSelect.innerHTML = '<option value="">— Presets —</option>';
+        listPresets().forEach((name) => {
+            const option = document.createElement('option');
+            option.value = option.textContent = name;
+            presetSelect.appendChild(option);
+        });
+        presetSelect.value = selected;
+    };
+    refreshList();
+
+    presetSelect.addEventListener('change', () => {
+        const settings = loadPreset(presetSelect.value);
+        if (settings) applySceneSettings(settings);
+    });
+
+    const on = (id, handler) => {
+        const btn = document.getElementById(id);
+        if (btn) btn.addEventListener('click', handler);
+    };
+
+    on('preset-save', () => {
+        const name = prompt('Preset name:', presetSelect.value || 'My Preset');
+        if (!name) return;
+        savePreset(name, getSceneSettings());
+        refreshList(name);
+    });
+
+    on('preset-delete', () => {
+        const name = presetSelect.value;
+        if (!name || !confirm(`Delete preset "${name}"?`)) return;
+        deletePreset(name);
+        refreshList();
+    });
+
+    const warnUploadedModel = () => {
+        if (sceneObjects.some(obj => !serializeSceneObject(obj))) {
+            alert('Uploaded models cannot be shared - the preset will not include them.');
+        }
+    };
+
+    on('preset-export', () => {
+        warnUploadedModel();
+        exportPreset(presetSelect.value || 'preset', getSceneSettings());
+    });
+
+    on('preset-import', () => importInput && importInput.click());
+
+    on('preset-share', async () => {
+        warnUploadedModel();
+        const link = createShareLink(getSceneSettings());
+        try {
+            await navigator.clipboard.writeText(link);
+            alert('Share link copied to clipboard.');
+        } catch (e) {
+            prompt('Share link:', link);
+        }
+    });
+
+    if (importInput) {
+        importInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            try {
+                const { name, settings } = parsePresetFile(await file.text());
+                applySceneSettings(settings);
+                savePreset(name, settings);
+                refreshList(name);
+            } catch (error) {
+                alert('Invalid preset file: ' + error.message);
+            } finally {
+                importInput.value = '';
+            }
+        });
+    }
+}
+
+/**
+ * Show the active calibration in the controls panel
+ */
+function updateCalibrationStatus() {
+    const status = document.getElementById('calibration-status');
+    if (!status) return;
+    status.textContent = calibration
+        ? `Screen ${calibration.screenWidth.toFixed(1)} × ${calibration.screenHeight.toFixed(1)} cm`
+        : 'Not calibrated';
 }
 
 /**
@@ -247,10 +1453,15 @@ function updateFrame() {
     if (frameWidth <= 0.001) return; // Hidden
 
     const { halfWidth, halfHeight } = boxGroup.userData;
-    const mat = new THREE.MeshBasicMaterial({ color: frameColor, side: THREE.DoubleSide });
+    // 'frame': drawn last (after transparent content too) and without depth test,
+    // so it covers content that pops out
+    const occludes = windowViolation === 'frame';
+    const mat = new THREE.MeshBasicMaterial({
+        color: frameColor, side: THREE.DoubleSide, depthTest: !occludes, transparent: occludes
+    });
 
     // Z-Offset to prevent Z-fighting and ensure visibility
-    const zPos = 0.02;
+    const zPos = FRAME_Z;
 
     // We create 4 planes growing INWARDS from the edge
     // 1. Top
@@ -277,116 +1488,91 @@ function updateFrame() {
     const rightMesh = new THREE.Mesh(rightGeo, mat);
     rightMesh.position.set(halfWidth - frameWidth / 2, 0, zPos);
     frameGroup.add(rightMesh);
+
+    frameGroup.children.forEach((mesh) => { mesh.renderOrder = occludes ? 999 : 0; });
 }
 
 /**
- * Update Model Transform (Scale & Position)
+ * Choose how content in front of the window plane is handled ('allow' | 'frame' | 'clip')
  */
-function updateModelTransform() {
-    if (!model) return;
-    const s = modelBaseScale * modelUserScale;
-    model.scale.set(s, s, s);
-
-    // Apply position offsets
-    // Note: World is rotated 180 deg, so X and Y axes are inverted relative to screen
-    // We invert the applied values so (+) button moves object Right/Up on screen
-    model.position.x = -modelOffsetX;
+function setWindowViolation(mode) {
+    windowViolation = mode;
+    if (renderer) renderer.clippingPlanes = mode === 'clip' ? [windowClipPlane] : [];
+    updateFrame();
 
-    // Y is updated in animate() to combine with floating effect
-
-    // Z is Depth. 0 is center. worldGroup is rotated 180 Y? No 180 Z.
-    // So Z axis is NOT inverted regarding Back/Front? 
-    // Normal ThreeJS: -Z is into screen (Far), +Z is out (Near).
-    // Rotate Z 180 changes X and Y. Z direction stays same relative to camera?
-    // Let's test. If User wants "Forward", they usually mean Closer.
-    // If I press (+), I expect it to come closer (+Z).
-    // Let's just add it.
-    model.position.z = modelZ + modelOffsetZ;
+    const violationSelect = document.getElementById('violation-select');
+    if (violationSelect) violationSelect.value = mode;
 }
 
 /**
- * Initialize camera stream
+ * Update Model Transform (Scale & Position) of the selected object
  */
-async function initCamera() {
-    const constraints = [
-        { video: { width: { ideal: 1280 }, height: { ideal: 720 }, facingMode: 'user' } },
-        { video: { facingMode: 'user' } },
-        { video: true }
-    ];
-
-    let stream = null;
-    let error = null;
-
-    for (const constraint of constraints) {
-        try {
-            stream = await navigator.mediaDevices.getUserMedia(constraint);
-            break;
-        } catch (e) {
-            error = e;
-        }
-    }
-
-    if (!stream) throw error || new Error('Could not access camera');
-
-    video.srcObject = stream;
-    video.play().catch(e => console.log('Autoplay prevented:', e));
-
-    await new Promise(resolve => video.onloadedmetadata = resolve);
-
-    faceCanvas.width = video.videoWidth;
-    faceCanvas.height = video.videoHeight;
+function updateModelTransform() {
+    if (!selectedObject) return;
+    applyObjectTransform(selectedObject);
 }
 
 /**
- * Initialize MediaPipe Face Detection
+ * Handle face detection results
+ * Returns the head pose for the face tracker (null when no face is visible)
  */
-async function initFaceDetection() {
-    // Global FaceDetection object from script tag
-    faceDetection = new FaceDetection({
-        locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/face_detection/${file}`
-    });
+function onFaceResults(results) {
+    faceCtx.clearRect(0, 0, faceCanvas.width, faceCanvas.height);
 
-    faceDetection.setOptions({
-        model: 'short',
-        minDetectionConfidence: 0.5
-    });
+    // Only live results are recorded, not replayed ones
+    if (recorder.isRecording() && tracker && tracker.name === 'face') {
+        recorder.addFrame(results);
+    }
 
-    faceDetection.onResults(onFaceResults);
+    const now = performance.now();
+    // Unsure detections don't count as a face at all
+    const detections = results.detections.filter(d => detectionScore(d) >= minTrackingConfidence);
+    const viewer = faceLock.select(detections, now);
 
-    camera = new Camera(video, {
-        onFrame: async () => {
-            await faceDetection.send({ image: video });
-        },
-        width: 1280,
-        height: 720
+    detections.forEach((detection, i) => {
+        drawFaceIndicator(detection.boundingBox, viewer !== null && i === viewer.index);
     });
 
-    await camera.start();
-}
-
-/**
- * Handle face detection results
- */
-function onFaceResults(results) {
-    faceCtx.clearRect(0, 0, faceCanvas.width, faceCanvas.height);
+    if (viewer) {
+        const bbox = detections[viewer.index].boundingBox;
+        viewerConfidence = detectionScore(detections[viewer.index]);
 
-    if (results.detections.length > 0) {
-        const detection = results.detections[0];
-        const bbox = detection.boundingBox;
+        // A different person took over: ease instead of jumping
+        if (viewer.reacquired) {
+            reacquireBlend = { x: currentX, y: currentY, z: currentZ, start: now };
+        }
 
         // Convert to -1 to 1 range (center = 0)
-        // X is inverted because camera is mirrored
-        targetX = (bbox.xCenter - 0.5) * 2;
-        targetY = (bbox.yCenter - 0.5) * 2;
+        // X is inverted later (computeEyePosition) because camera is mirrored
+        const head = bboxToHead(bbox);
+        return {
+            x: head.x,
+            y: head.y,
+            // Lean in / out: apparent face size -> viewer distance
+            distance: estimateViewerDistance(bbox.width),
+            timestamp: now
+        };
+    }
+
+    return null;
+}
 
-        drawFaceIndicator(bbox);
-    }
+/**
+ * Estimate viewer distance (cm) from the apparent face width
+ */
+function estimateViewerDistance(faceWidthNormalized) {
+    return estimateDistance(faceWidthNormalized, {
+        faceWidth: assumedFaceWidth,
+        fov: cameraFov,
+        min: MIN_VIEWER_DISTANCE,
+        max: MAX_VIEWER_DISTANCE
+    });
 }
 
 /**
  * Draw simple face detection indicator
  */
-function drawFaceIndicator(bbox) {
+function drawFaceIndicator(bbox, isViewer = true) {
     const w = faceCanvas.width;
     const h = faceCanvas.height;
 
@@ -395,9 +1581,12 @@ function drawFaceIndicator(bbox) {
     const width = bbox.width * w;
     const height = bbox.height * h;
 
-    faceCtx.strokeStyle = '#a855f7';
-    faceCtx.lineWidth = 2;
+    // Viewer: solid purple, other faces: dashed grey
+    faceCtx.strokeStyle = isViewer ? '#a855f7' : 'rgba(255, 255, 255, 0.5)';
+    faceCtx.lineWidth = isViewer ? 3 : 1.5;
+    faceCtx.setLineDash(isViewer ? [] : [6, 4]);
     faceCtx.strokeRect(x, y, width, height);
+    faceCtx.setLineDash([]);
 }
 
 /**
@@ -408,7 +1597,7 @@ function initThreeJS() {
     scene = new THREE.Scene();
     scene.background = new THREE.Color(0x000000);
 
-    scene.fog = new THREE.Fog(0x000000, 10, 60);
+    scene.fog = new THREE.Fog(0x000000, boxConfig.fogNear, boxConfig.fogFar);
 
     // Camera
     const aspect = window.innerWidth / window.innerHeight;
@@ -423,19 +1612,20 @@ function initThreeJS() {
     });
     renderer.setSize(window.innerWidth, window.innerHeight);
     renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    renderer.clippingPlanes = windowViolation === 'clip' ? [windowClipPlane] : [];
 
-    // Lighting
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
-    scene.add(ambientLight);
+    // Stereo eyes (projection is set per frame in updateOffAxisProjection)
+    stereoRenderer = createStereoRenderer(renderer);
+    leftEyeCamera = threeCamera.clone();
+    rightEyeCamera = threeCamera.clone();
 
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 1.0);
-    directionalLight.position.set(2, 3, 4);
-    scene.add(directionalLight);
+    // Shadows are switched per light, so the shadow map stays enabled
+    renderer.shadowMap.enabled = true;
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 
-    // Fill light
-    const pLight = new THREE.PointLight(0xa855f7, 2, 20);
-    pLight.position.set(0, -2, 0);
-    scene.add(pLight);
+    // Lighting
+    lighting = createLighting(scene);
+    lighting.apply(lightingConfig);
 
     // World Group (to flip everything)
     worldGroup = new THREE.Group();
@@ -447,122 +1637,544 @@ function initThreeJS() {
     createBox();
 
     // Load Default Model
-    loadModel('assets/GLB/water_splash_spiral.glb');
+    initGizmo();
+    replaceSceneObjects(initialObjects);
 
     window.addEventListener('resize', onWindowResize);
 }
 
 /**
- * Load GLB Model
+ * Load a model (glTF / GLB, OBJ, FBX, STL - see model-loader.js) and add it to the scene list
+ * Resolves with the new scene object (null on failure).
  */
-function loadModel(url) {
-    const loader = new GLTFLoader();
+async function loadModel(url, { name, transform = {}, select = true, format, files = null } = {}) {
+    const displayName = name || url.split('/').pop();
+    beginModelProgress(displayName);
+
+    try {
+        const model = await loadModelAsset(url, {
+            format, files, renderer,
+            onProgress: event => setModelProgress(displayName, event)
+        });
 
-    loader.load(url, (gltf) => {
-        // Remove old model if exists
-        if (model) {
-            worldGroup.remove(model);
+        const object = createSceneObject({
+            root: model.scene,
+            clips: model.animations,
+            url,
+            name: displayName
+        }, transform, objectContainer());
 
-            // Optional: Dispose geometry/materials to free memory
-            model.traverse((child) => {
-                if (child.isMesh) {
-                    child.geometry.dispose();
-                    if (child.material) {
-                        if (Array.isArray(child.material)) child.material.forEach(m => m.dispose());
-                        else child.material.dispose();
-                    }
-                }
-            });
-        }
+        if (object.mixer) object.mixer.timeScale = animationSpeed;
+        if (object.clips.length > 0) playObjectClip(object, 0);
+
+        // Add to worldGroup
+        worldGroup.add(object.root);
+        sceneObjects.push(object);
+        if (select || !selectedObject) selectSceneObject(object);
+        else renderObjectList();
+
+        console.log('Model loaded:', url);
+        emit('modelloaded', { url, name: object.name, clips: object.clips.map(clip => clip.name) });
+        // Uploaded file names stay private
+        trackUsage({ type: 'model', name: url.startsWith('blob:') ? 'upload' : url.split('/').pop() });
+        return object;
+
+    } catch (error) {
+        console.error('An error occurred loading the model:', error);
+        emit('error', { source: 'model', url, error });
+        showModelError(error, displayName);
+        return null;
+    } finally {
+        endModelProgress();
+    }
+}
+
+/**
+ * Tell the user why a model could not be loaded (not in kiosk mode)
+ */
+function showModelError(error, name) {
+    const message = describeLoadError(error, name);
+    console.warn(message);
+    if (!kiosk) alert(message);
+}
+
+/**
+ * Model loading progress in the loading overlay
+ */
+function beginModelProgress(name) {
+    modelLoads++;
+    setModelProgress(name, null);
+    if (kiosk || modelProgressTimer) return;
+    modelProgressTimer = setTimeout(() => loadingOverlay.classList.remove('hidden'), MODEL_PROGRESS_DELAY_MS);
+}
+
+function setModelProgress(name, event) {
+    let detail = '';
+    if (event && event.lengthComputable && event.total > 0) {
+        detail = ` ${Math.round(event.loaded / event.total * 100)}%`;
+    } else if (event && event.loaded > 0) {
+        detail = ` ${(event.loaded / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    loadingOverlay.querySelector('.loading-text').textContent = `Loading ${name}...${detail}`;
+}
+
+function endModelProgress() {
+    modelLoads = Math.max(0, modelLoads - 1);
+    if (modelLoads > 0) return;
+    clearTimeout(modelProgressTimer);
+    modelProgressTimer = null;
+    loadingOverlay.classList.add('hidden');
+}
 
-        model = gltf.scene;
+/**
+ * Remove an object from the scene and free its memory
+ */
+function removeSceneObject(object) {
+    const index = sceneObjects.indexOf(object);
+    if (index < 0) return;
+
+    worldGroup.remove(object.root);
+    disposeSceneObject(object);
+    if (object.blobUrl) URL.revokeObjectURL(object.blobUrl);
+    sceneObjects.splice(index, 1);
+
+    if (selectedObject === object) {
+        selectSceneObject(sceneObjects[Math.min(index, sceneObjects.length - 1)] || null);
+    } else {
+        renderObjectList();
+    }
+}
 
-        // Normalize size
-        const box = new THREE.Box3().setFromObject(model);
-        const size = box.getSize(new THREE.Vector3());
-        const maxDim = Math.max(size.x, size.y, size.z);
+/**
+ * Move an object up (-1) or down (+1) in the list
+ * The list order is also the draw order for overlapping transparent models.
+ */
+function moveSceneObject(object, direction) {
+    const index = sceneObjects.indexOf(object);
+    const target = index + direction;
+    if (index < 0 || target < 0 || target >= sceneObjects.length) return;
+
+    sceneObjects.splice(index, 1);
+    sceneObjects.splice(target, 0, object);
+    sceneObjects.forEach((obj, i) => { obj.root.renderOrder = i; });
+    renderObjectList();
+}
 
-        // Base scale to fit ~1.5 units
-        if (maxDim > 0) {
-            modelBaseScale = 1.5 / maxDim;
-        } else {
-            modelBaseScale = 1.0;
+/**
+ * Replace all objects (e.g. from a preset)
+ */
+async function replaceSceneObjects(objects) {
+    const generation = ++objectSetGeneration;
+    [...sceneObjects].forEach(removeSceneObject);
+    for (const data of objects) {
+        const object = await loadModel(data.url, { name: data.name, transform: data, select: false });
+        // Another preset was applied while this model loaded
+        if (generation !== objectSetGeneration) {
+            if (object) removeSceneObject(object);
+            return;
         }
+    }
+    selectSceneObject(sceneObjects[0] || null);
+}
 
-        updateModelTransform();
+/**
+ * Make an object the target of the panel controls
+ */
+function selectSceneObject(object) {
+    selectedObject = object;
+    refreshObjectControls();
+    if (gizmo) gizmo.attach(object ? object.root : null);
 
-        // Add to worldGroup
-        worldGroup.add(model);
-        console.log('Model loaded:', url);
+    updateClipSelect();
+    renderObjectList();
+}
 
-    }, undefined, (error) => {
-        console.error('An error occurred loading the model:', error);
-        alert('Fehler beim Laden (CORS?). Nutze einen lokalen Server!');
+/**
+ * Show the selected object's values in the panel (setting them again is a no-op)
+ */
+function refreshObjectControls() {
+    const object = selectedObject;
+    if (object) {
+        setControlValue('scale-value', object.userScale);
+        setControlValue('pos-x-value', object.offsetX);
+        setControlValue('pos-y-value', object.offsetY);
+        setControlValue('pos-z-value', object.offsetZ);
+        setControlValue('rot-x-value', object.rotationX);
+        setControlValue('rot-y-value', object.rotationY);
+        setControlValue('rot-z-value', object.rotationZ);
+    }
+
+    const spinToggle = document.getElementById('spin-toggle');
+    if (spinToggle) spinToggle.checked = object ? object.spin : false;
+    const floatToggle = document.getElementById('float-toggle');
+    if (floatToggle) floatToggle.checked = object ? object.float : false;
+
+    if (object) setControlValue('fit-fraction-value', object.fitFraction);
+    const autoCenterToggle = document.getElementById('auto-center-toggle');
+    if (autoCenterToggle) autoCenterToggle.checked = object ? object.autoCenter : false;
+    const floorSnapToggle = document.getElementById('floor-snap-toggle');
+    if (floorSnapToggle) floorSnapToggle.checked = object ? object.floorSnap : false;
+    const fitSelect = document.getElementById('fit-select');
+    if (fitSelect && object) fitSelect.value = object.fit;
+}
+
+/**
+ * Create the in-scene handles (needs the renderer canvas and camera)
+ */
+function initGizmo() {
+    gizmo = createObjectGizmo({
+        camera: threeCamera,
+        canvas: threeCanvas,
+        scene,
+        pickRoots: () => sceneObjects.map(obj => obj.root),
+        onPick: (root) => {
+            const object = sceneObjects.find(obj => obj.root === root);
+            if (object) selectSceneObject(object);
+        },
+        onChange: () => {
+            if (!selectedObject) return;
+            readObjectTransform(selectedObject);
+            refreshObjectControls();
+        },
+        onDraggingChanged: (dragging) => { gizmoDragging = dragging; },
+        snapPosition: snapToBoxGrid
     });
+
+    const gizmoSelect = document.getElementById('gizmo-select');
+    const snapToggle = document.getElementById('snap-toggle');
+    gizmo.setMode(gizmoSelect ? gizmoSelect.value : 'translate');
+    gizmo.setSnap(snapToggle ? snapToggle.checked : true);
+    if (selectedObject) gizmo.attach(selectedObject.root);
 }
 
 /**
- * Create the 5-sided box
+ * Snap a position (world group space) to the box grid lines on the dragged axes
  */
-function createBox() {
-    boxGroup = new THREE.Group();
-    boxGroup.name = 'box';
+function snapToBoxGrid(position, axis) {
+    const { halfWidth, halfHeight } = boxGroup.userData;
+    const { depth, divisions, crossDivisions } = boxConfig;
+    const snap = (value, origin, step) => origin + Math.round((value - origin) / step) * step;
 
-    const aspect = 1920 / 1080;
-    const BASE_SIZE = 4;
-    const halfWidth = BASE_SIZE * aspect / 2;
-    const halfHeight = BASE_SIZE / 2;
+    if (axis.includes('X')) position.x = snap(position.x, -halfWidth, halfWidth * 2 / crossDivisions);
+    if (axis.includes('Y')) position.y = snap(position.y, -halfHeight, halfHeight * 2 / crossDivisions);
+    if (axis.includes('Z')) position.z = snap(position.z, -depth, depth / divisions);
+}
 
-    const gridMaterial = new THREE.LineBasicMaterial({
-        color: 0x6366f1, opacity: 0.5, transparent: true
-    });
-    const edgeMaterial = new THREE.LineBasicMaterial({
-        color: 0xa855f7, opacity: 0.8, transparent: true
+/**
+ * Setup the scene list buttons (select / reorder / remove)
+ */
+function setupObjectList() {
+    const on = (id, handler) => {
+        const btn = document.getElementById(id);
+        if (btn) btn.addEventListener('click', () => selectedObject && handler(selectedObject));
+    };
+    on('object-up', obj => moveSceneObject(obj, -1));
+    on('object-down', obj => moveSceneObject(obj, 1));
+    on('object-remove', removeSceneObject);
+
+    // Gizmo mode and snapping (applied once the scene exists)
+    const gizmoSelect = document.getElementById('gizmo-select');
+    if (gizmoSelect) {
+        gizmoSelect.addEventListener('change', () => {
+            if (!gizmo) return;
+            gizmo.setMode(gizmoSelect.value);
+            if (selectedObject) gizmo.attach(selectedObject.root);
+        });
+    }
+    const snapToggle = document.getElementById('snap-toggle');
+    if (snapToggle) {
+        snapToggle.addEventListener('change', () => gizmo && gizmo.setSnap(snapToggle.checked));
+    }
+}
+
+/**
+ * Redraw the scene list in the panel
+ */
+function renderObjectList() {
+    const list = document.getElementById('object-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+    if (sceneObjects.length === 0) {
+        list.innerHTML = '<li class="object-list-empty">No models</li>';
+    }
+    sceneObjects.forEach((object) => {
+        const item = document.createElement('li');
+        item.textContent = object.name;
+        item.title = object.name;
+        if (object === selectedObject) item.classList.add('selected');
+        item.addEventListener('click', () => selectSceneObject(object));
+        list.appendChild(item);
     });
+}
 
-    function createGridPlane(width, height, divisionsW, divisionsH) {
-        const geometry = new THREE.BufferGeometry();
-        const points = [];
-        for (let i = 0; i <= divisionsH; i++) {
-            const y = (i / divisionsH - 0.5) * height;
-            points.push(-width / 2, y, 0, width / 2, y, 0);
-        }
-        for (let i = 0; i <= divisionsW; i++) {
-            const x = (i / divisionsW - 0.5) * width;
-            points.push(x, -height / 2, 0, x, height / 2, 0);
+/**
+ * Fill the clip selector with the animations of the selected object
+ */
+function updateClipSelect() {
+    const clips = selectedObject ? selectedObject.clips : [];
+    const clipSelect = document.getElementById('clip-select');
+    if (clipSelect) {
+        clipSelect.innerHTML = '';
+        if (clips.length === 0) {
+            clipSelect.innerHTML = '<option value="">No animations</option>';
         }
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(points, 3));
-        return new THREE.LineSegments(geometry, gridMaterial.clone());
+        clips.forEach((clip, i) => {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = clip.name || `Clip ${i + 1}`;
+            clipSelect.appendChild(option);
+        });
+        clipSelect.disabled = clips.length === 0;
+
+        const active = selectedObject && selectedObject.activeAction;
+        if (active) clipSelect.value = clips.indexOf(active.getClip());
     }
+    updateAnimationButton();
+}
+
+/**
+ * Crossfade to another clip of the selected object
+ */
+function playClip(index) {
+    if (!selectedObject) return;
+    playObjectClip(selectedObject, index);
+    updateAnimationButton();
+}
+
+function toggleAnimationPaused() {
+    const action = selectedObject && selectedObject.activeAction;
+    if (!action) return;
+    action.paused = !action.paused;
+    updateAnimationButton();
+}
+
+function updateAnimationButton() {
+    const playBtn = document.getElementById('anim-play');
+    if (!playBtn) return;
+    const action = selectedObject && selectedObject.activeAction;
+    playBtn.disabled = !action;
+    playBtn.textContent = action && !action.paused ? '❚❚' : '▶';
+}
 
-    // Walls
-    const leftW = createGridPlane(BOX_DEPTH, halfHeight * 2, GRID_DIVISIONS, 10);
-    leftW.rotation.y = Math.PI / 2; leftW.position.set(-halfWidth, 0, -BOX_DEPTH / 2);
-    boxGroup.add(leftW);
+/**
+ * Enable/disable the idle spin of the selected object (resets to the authored orientation)
+ */
+function setModelSpin(enabled) {
+    if (!selectedObject) return;
+    selectedObject.spin = enabled;
+    if (!enabled) selectedObject.spinAngle = 0;
+    updateModelTransform();
+}
 
-    const rightW = createGridPlane(BOX_DEPTH, halfHeight * 2, GRID_DIVISIONS, 10);
-    rightW.rotation.y = -Math.PI / 2; rightW.position.set(halfWidth, 0, -BOX_DEPTH / 2);
-    boxGroup.add(rightW);
+function setModelFloat(enabled) {
+    if (!selectedObject) return;
+    selectedObject.float = enabled;
+    updateModelTransform();
+}
 
-    const floor = createGridPlane(halfWidth * 2, BOX_DEPTH, 10, GRID_DIVISIONS);
-    floor.rotation.x = -Math.PI / 2; floor.position.set(0, -halfHeight, -BOX_DEPTH / 2);
-    boxGroup.add(floor);
+/**
+ * Change centering / floor snap / fit of the selected object (see fitSceneObject)
+ */
+function setModelFit(changes) {
+    if (!selectedObject) return;
+    Object.assign(selectedObject, changes);
+    fitSceneObject(selectedObject);
+}
 
-    const ceil = createGridPlane(halfWidth * 2, BOX_DEPTH, 10, GRID_DIVISIONS);
-    ceil.rotation.x = Math.PI / 2; ceil.position.set(0, halfHeight, -BOX_DEPTH / 2);
-    boxGroup.add(ceil);
+/**
+ * Box dimensions the objects are fitted into (null before the box exists)
+ */
+function objectContainer() {
+    if (!boxGroup) return null;
+    const { halfWidth, halfHeight } = boxGroup.userData;
+    return { halfWidth, halfHeight, depth: boxConfig.depth };
+}
 
-    const back = createGridPlane(halfWidth * 2, halfHeight * 2, 10, 10);
-    back.position.z = -BOX_DEPTH;
-    boxGroup.add(back);
+/**
+ * Create the 5-sided box
+ */
+function createBox() {
+    // Calibrated: real screen aspect, otherwise assume a 16:9 monitor
+    const aspect = calibration
+        ? calibration.screenWidth / calibration.screenHeight
+        : 1920 / 1080;
+    const halfWidth = BASE_SIZE * aspect / 2;
+    const halfHeight = BASE_SIZE / 2;
 
+    boxGroup = buildBox(boxConfig, {
+        halfWidth, halfHeight, texture: wallTexture, shadows: lightingConfig.shadows
+    });
     worldGroup.add(boxGroup);
-    boxGroup.userData = { halfWidth, halfHeight };
 
+    // World units per cm of real screen (only meaningful when calibrated)
+    const unitsPerCm = calibration ? BASE_SIZE / calibration.screenHeight : null;
+    boxGroup.userData = { halfWidth, halfHeight, unitsPerCm };
+
+    // Window / depth fits and floor snapping follow the new box
+    sceneObjects.forEach(obj => fitSceneObject(obj, objectContainer()));
+
+    updateVideoLayer();
     updateFrame(); // Initialize frame
     createInstructions(); // Add 3D text
 }
 
+/**
+ * Rebuild the box after its geometry changed (e.g. new calibration)
+ */
+function rebuildBox() {
+    if (!worldGroup) return;
+
+    const instructionsVisible = instructionsMesh ? instructionsMesh.visible : true;
+
+    if (boxGroup) {
+        worldGroup.remove(boxGroup);
+        disposeBox(boxGroup);
+    }
+    if (instructionsMesh) {
+        worldGroup.remove(instructionsMesh);
+        instructionsMesh.geometry.dispose();
+        instructionsMesh.material.map.dispose();
+        instructionsMesh.material.dispose();
+    }
+
+    createBox();
+    instructionsMesh.visible = instructionsVisible;
+}
+
+/**
+ * Change box settings (partial config, see box.js) and rebuild it live
+ */
+function setBoxConfig(changes) {
+    boxConfig = normalizeBoxConfig(changes, boxConfig);
+
+    if (scene && scene.fog) {
+        scene.fog.near = boxConfig.fogNear;
+        scene.fog.far = Math.max(boxConfig.fogNear, boxConfig.fogFar);
+    }
+    rebuildBox();
+}
+
+/**
+ * Change lighting settings (partial: preset, intensity, color, shadows)
+ */
+function setLighting(changes) {
+    const shadowsChanged = typeof changes.shadows === 'boolean' && changes.shadows !== lightingConfig.shadows;
+    lightingConfig = { ...lightingConfig, ...changes };
+    if (!LIGHTING_PRESETS[lightingConfig.preset]) lightingConfig.preset = 'default';
+
+    if (lighting) lighting.apply(lightingConfig);
+    if (shadowsChanged) rebuildBox(); // Shadow catchers on the walls
+}
+
+/**
+ * Use an uploaded HDR or equirectangular image as environment map
+ */
+function loadEnvironmentMap(file) {
+    const url = URL.createObjectURL(file);
+    const isHdr = file.name.toLowerCase().endsWith('.hdr');
+    const loader = isHdr ? new RGBELoader() : new THREE.TextureLoader();
+
+    loader.load(url, (texture) => {
+        URL.revokeObjectURL(url);
+        if (!isHdr) texture.colorSpace = THREE.SRGBColorSpace;
+        lighting.setEnvironment(texture);
+    }, undefined, (error) => {
+        URL.revokeObjectURL(url);
+        console.error('Could not load environment map:', error);
+        alert('Could not load the environment map (use .hdr, .jpg or .png).');
+    });
+}
+
+/**
+ * Rebuild the video surfaces for the current box and video settings
+ */
+function updateVideoLayer() {
+    if (!worldGroup || !boxGroup) return;
+
+    if (videoGroup) {
+        worldGroup.remove(videoGroup);
+        videoLayer.disposeGroup(videoGroup);
+    }
+
+    const { halfWidth, halfHeight } = boxGroup.userData;
+    videoGroup = videoLayer.build(videoConfig.mode, { halfWidth, halfHeight, depth: boxConfig.depth }, {
+        opacity: videoConfig.opacity,
+        mirrored: videoConfig.source === 'webcam' // Your own image reads like a mirror
+    });
+    worldGroup.add(videoGroup);
+}
+
+/**
+ * Change video settings (partial: mode, source, opacity)
+ * Opens the webcam when needed and releases it again when the mode is off.
+ * Before the scene runs (presets in init) the settings are only stored;
+ * start() applies them, so no camera prompt comes before the user's click.
+ */
+async function setVideoConfig(changes) {
+    videoConfig = { ...videoConfig, ...changes };
+    if (!worldGroup) {
+        updateVideoControls();
+        return;
+    }
+
+    if (videoConfig.mode === 'off') {
+        // Free the camera / stop decoding the hidden video
+        if (videoConfig.source === 'webcam') videoLayer.dispose();
+        else videoLayer.pause();
+    } else if (videoConfig.source === 'file') {
+        await videoLayer.resume().catch(error => console.warn('Could not resume video:', error));
+    } else if (videoConfig.source === 'webcam' && (changes.source || !videoLayer.hasSource())) {
+        try {
+            await videoLayer.useWebcam(cameraOptions.deviceId);
+        } catch (error) {
+            console.error('Could not start video webcam:', error);
+            emit('error', { source: 'video', error });
+            alert('Camera could not be started for the video layer: ' + error.message);
+            videoConfig.mode = 'off';
+        }
+    }
+
+    updateVideoControls();
+    updateVideoLayer();
+}
+
+/**
+ * Play an uploaded video file in the box (turns the layer on if needed)
+ */
+async function loadVideoFile(file) {
+    try {
+        await videoLayer.useFile(file);
+    } catch (error) {
+        console.error('Could not play video:', error);
+        emit('error', { source: 'video', error });
+        alert('Could not play the video file (try .mp4 or .webm).');
+        return;
+    }
+    setVideoConfig({ source: 'file', mode: videoConfig.mode === 'off' ? 'back' : videoConfig.mode });
+}
+
+/**
+ * Use an uploaded image as wall texture
+ */
+function loadWallTexture(file) {
+    const url = URL.createObjectURL(file);
+    new THREE.TextureLoader().load(url, (texture) => {
+        URL.revokeObjectURL(url);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        if (wallTexture) wallTexture.dispose();
+        wallTexture = texture;
+
+        const wallStyleSelect = document.getElementById('wall-style-select');
+        if (wallStyleSelect) wallStyleSelect.value = 'textured';
+        setBoxConfig({ wallStyle: 'textured' });
+    }, undefined, (error) => {
+        URL.revokeObjectURL(url);
+        console.error('Could not load wall texture:', error);
+        alert('Could not load the image as wall texture.');
+    });
+}
+
 /**
  * Create 3D Instructions at Z=0
  */
@@ -630,57 +2242,346 @@ function createInstructions() {
 function updateOffAxisProjection() {
     if (!threeCamera || !boxGroup) return;
 
-    const { halfWidth, halfHeight } = boxGroup.userData;
-    const eyeDistance = 5;
+    const eye = computeEyePosition();
+    updateClipPlanes(eye.z);
+    applyOffAxisProjection(threeCamera, eye.x, eye.y, eye.z);
+
+    // Stereo: same window, eyes shifted by half the IPD each
+    if (stereoMode !== 'mono') {
+        const halfIpd = interpupillaryDistance * worldUnitsPerCm() / 2;
+        applyOffAxisProjection(leftEyeCamera, eye.x - halfIpd, eye.y, eye.z);
+        applyOffAxisProjection(rightEyeCamera, eye.x + halfIpd, eye.y, eye.z);
+    }
+}
+
+/**
+ * Fit near / far to the content: the near plane goes as far out as possible
+ * without cutting objects that come out of the screen towards the viewer
+ * (better depth precision than a fixed tiny near plane), the far plane
+ * just behind the back wall.
+ */
+function updateClipPlanes(eyeDistance) {
+    let front = FRAME_Z;
+    if (windowViolation !== 'clip') {
+        sceneObjects.forEach((obj) => {
+            contentBounds.setFromObject(obj.root);
+            if (!contentBounds.isEmpty()) front = Math.max(front, contentBounds.max.z);
+        });
+    }
+
+    const planes = fitClipPlanes(eyeDistance, front, boxConfig.depth, {
+        minNear: MIN_NEAR_CLIP, margin: NEAR_CLIP_MARGIN
+    });
+    nearClip = planes.near;
+    farClip = planes.far;
+}
+
+/**
+ * Point a camera at the window (box opening) from the given eye position
+ */
+function applyOffAxisProjection(camera, eyeX, eyeY, eyeDistance) {
+    const { left, right, bottom, top } = offAxisFrustum(
+        boxGroup.userData, { x: eyeX, y: eyeY, z: eyeDistance }, nearClip
+    );
+
+    camera.projectionMatrix.makePerspective(left, right, bottom, top, nearClip, farClip);
+    camera.projectionMatrixInverse.copy(camera.projectionMatrix).invert();
+    camera.position.set(eyeX, eyeY, eyeDistance);
+    camera.rotation.set(0, 0, 0);
+    camera.updateMatrixWorld();
+}
+
+/**
+ * World units per real-world cm
+ * Uncalibrated, the reference viewer distance defines the scale.
+ */
+function worldUnitsPerCm() {
+    return calibration
+        ? boxGroup.userData.unitsPerCm
+        : DEFAULT_EYE_DISTANCE / REFERENCE_DISTANCE;
+}
+
+/**
+ * Draw the frame in the active output mode
+ */
+function renderScene() {
+    if (stereoMode === 'mono') {
+        renderer.render(scene, threeCamera);
+    } else {
+        stereoRenderer.render(scene, leftEyeCamera, rightEyeCamera, stereoMode);
+    }
+}
+
+/**
+ * Map the smoothed head position to an eye position in world units
+ */
+function computeEyePosition() {
+    const { halfWidth, halfHeight, unitsPerCm } = boxGroup.userData;
+    const head = { x: currentX, y: currentY, distance: currentZ };
+
+    if (!calibration) {
+        // Viewer distance scales the eye distance linearly (REFERENCE_DISTANCE -> default)
+        return eyeFromHead(head, {
+            halfWidth, halfHeight,
+            strength: parallaxStrength,
+            referenceDistance: REFERENCE_DISTANCE,
+            eyeDistance: DEFAULT_EYE_DISTANCE
+        });
+    }
+
+    // True scale (strength is not applied)
+    const videoAspect = video.videoWidth && video.videoHeight
+        ? video.videoHeight / video.videoWidth
+        : 9 / 16;
+    return eyeFromHeadCalibrated(head, { calibration, fov: cameraFov, videoAspect, unitsPerCm });
+}
+
+/**
+ * What to do while the viewer is not visible
+ * After lossHoldMs without poses the target eases to center or an idle drift.
+ */
+function updateTrackingLoss(now, dt) {
+    // Kiosk waiting for the camera (maybe on the pointer fallback): keep the attract motion going
+    if (kiosk && (!tracker || tracker.name !== 'face')) {
+        setTrackingStatus('lost');
+        easeToIdlePose(now, dt);
+        return;
+    }
+    if (!tracker || !tracker.reportsLoss) {
+        setTrackingStatus(tracker ? 'manual' : 'idle');
+        return;
+    }
+    // A paused replay is not a lost viewer
+    if (tracker.name === 'replay' && !tracker.isPlaying()) {
+        setTrackingStatus('paused');
+        return;
+    }
+
+    const missingMs = now - lastPoseTime;
+    if (missingMs < 250) {
+        setTrackingStatus('tracking');
+        return;
+    }
+    if (missingMs < lossHoldMs || lossBehavior === 'hold') {
+        setTrackingStatus('holding');
+        return;
+    }
+
+    setTrackingStatus('lost');
+    easeToIdlePose(now, dt);
+}
+
+function easeToIdlePose(now, dt) {
+    const idle = getIdlePose(now);
+    const k = 1 - Math.exp(-dt / LOSS_EASE_SECONDS);
+    targetX += (idle.x - targetX) * k;
+    targetY += (idle.y - targetY) * k;
+    targetZ += (idle.z - targetZ) * k;
+}
+
+/**
+ * Pose the view returns to without a viewer
+ */
+function getIdlePose(now) {
+    if (lossBehavior === 'orbit') {
+        // Attract mode: circle around the box so it is obviously 3D
+        const t = now * 0.001;
+        return {
+            x: Math.sin(t * 0.5) * 0.9,
+            y: Math.cos(t * 0.5) * 0.4,
+            z: REFERENCE_DISTANCE
+        };
+    }
+    if (lossBehavior === 'drift') {
+        // Slow Lissajous wander so the scene stays alive
+        const t = now * 0.001;
+        return {
+            x: Math.sin(t * 0.31) * 0.5,
+            y: Math.sin(t * 0.23 + 1.0) * 0.25,
+            z: REFERENCE_DISTANCE
+        };
+    }
+    return { x: 0, y: 0, z: REFERENCE_DISTANCE };
+}
+
+/**
+ * Update the tracking status indicator in the camera preview
+ */
+function setTrackingStatus(status) {
+    if (status === 'lost' && trackingStatus !== 'lost') {
+        emit('trackinglost', { tracker: tracker ? tracker.name : null, behavior: lossBehavior });
+    }
 
-    // Map normalized face position to world units
-    const eyeX = -currentX * halfWidth * parallaxStrength;
-    const eyeY = currentY * halfHeight * parallaxStrength;
+    const indicator = document.getElementById('tracking-status');
+    if (!indicator) {
+        trackingStatus = status;
+        return;
+    }
 
-    const nearOverDist = nearClip / eyeDistance;
-    const left = (-halfWidth - eyeX) * nearOverDist;
-    const right = (halfWidth - eyeX) * nearOverDist;
-    const bottom = (-halfHeight - eyeY) * nearOverDist;
-    const top = (halfHeight - eyeY) * nearOverDist;
+    const labels = {
+        tracking: `Tracking ${Math.round(viewerConfidence * 100)}%`,
+        holding: 'Holding',
+        lost: { drift: 'Lost · Idle', orbit: 'Lost · Orbit' }[lossBehavior] || 'Lost · Centering',
+        paused: 'Replay paused',
+        manual: 'Manual',
+        idle: 'Idle'
+    };
+    const text = labels[status];
+    if (status === trackingStatus && indicator.textContent === text) return;
 
-    threeCamera.projectionMatrix.makePerspective(left, right, bottom, top, nearClip, farClip);
-    threeCamera.projectionMatrixInverse.copy(threeCamera.projectionMatrix).invert();
-    threeCamera.position.set(eyeX, eyeY, eyeDistance);
-    threeCamera.rotation.set(0, 0, 0);
-    threeCamera.updateMatrixWorld();
+    indicator.className = 'tracking-status ' + status;
+    indicator.textContent = text;
+    trackingStatus = status;
 }
 
 function onWindowResize() {
     renderer.setSize(window.innerWidth, window.innerHeight);
+    stereoRenderer.setSize();
 }
 
 function animate() {
     requestAnimationFrame(animate);
 
-    currentX += (targetX - currentX) * smoothingAmount;
-    currentY += (targetY - currentY) * smoothingAmount;
-
-    updateOffAxisProjection();
+    const now = performance.now();
+    const dt = Math.min(0.1, (now - lastFrameTime) / 1000); // Seconds, capped after tab switches
+    lastFrameTime = now;
+    updateTrackingLoss(now, dt);
 
-    // Gentle float for model
-    if (model) {
-        const time = performance.now() * 0.001;
-        model.rotation.y += 0.005;
+    if (tracker && tracker.name === 'face') {
+        faceActiveMs += dt * 1000;
+        if (trackingStatus === 'tracking') faceTrackedMs += dt * 1000;
+    }
 
-        // Base Y is -0.5. 
-        // User Offset: (+) means UP on screen -> Decrements Y in inverted world.
-        // Float: Adds sine wave.
-        model.position.y = -0.5 - modelOffsetY + Math.sin(time * 0.5) * 0.05;
+    // Poses are filtered when they arrive; targets that move per frame
+    // (blend, idle easing) or are held are sampled on the frame clock
+    if (reacquireBlend) {
+        // Ease from the previous viewer to a newly acquired one
+        const k = (now - reacquireBlend.start) / REACQUIRE_BLEND_MS;
+        const input = blendPose(reacquireBlend, { x: targetX, y: targetY, z: targetZ }, k);
+        filterSample(input.x, input.y, input.z, now);
+        if (k >= 1) reacquireBlend = null;
+    } else if (now - lastSampleTime > HOLD_RESAMPLE_MS) {
+        filterSample(targetX, targetY, targetZ, now);
     }
 
-    renderer.render(scene, threeCamera);
+    // Look ahead from the last sample to this frame plus the display latency
+    const horizonMs = (now - lastSampleTime) + predictionMs;
+    currentX = predictAxis(axisFilters.x, filteredPose.x, horizonMs);
+    currentY = predictAxis(axisFilters.y, filteredPose.y, horizonMs);
+    currentZ = predictAxis(axisFilters.z, filteredPose.z, horizonMs) * REFERENCE_DISTANCE;
+
+    updateOffAxisProjection();
+
+    // Authored animation + gentle spin/float per object
+    const time = now * 0.001;
+    sceneObjects.forEach(object => updateSceneObject(object, dt, time));
+
+    renderScene();
 
     // FPS
     frameCount++;
-    const now = performance.now();
     if (now - lastFpsUpdate >= 500) {
         currentFps = Math.round(frameCount * 1000 / (now - lastFpsUpdate));
         if (fpsCounter) fpsCounter.textContent = currentFps + ' FPS';
         frameCount = 0; lastFpsUpdate = now;
     }
 }
+
+/**
+ * Public API for host pages (kiosk scripts etc.)
+ *
+ *   import { controller } from './js/headtrack.js';
+ *   controller.addEventListener('headmove', e => console.log(e.detail));
+ *   await controller.startTracking('face');
+ *
+ * Events (detail in parentheses):
+ *   headmove      every tracker pose ({ x, y, distance, tracker })
+ *   trackinglost  the viewer disappeared ({ tracker, behavior })
+ *   modelloaded   a model was added ({ url, name, clips })
+ *   error         ({ source: 'tracker' | 'model' | 'init' | 'camera' | 'video', error, ... })
+ */
+Object.assign(controller, {
+    /**
+     * Start the scene (if needed) with a tracker; face falls back to pointer
+     */
+    async startTracking(type = 'face') {
+        if (!renderer) {
+            const starting = startPromise !== null;
+            await start(type);
+            // A start already under way may have picked another tracker
+            if (!starting) return;
+        }
+        try {
+            await switchTracker(type);
+        } catch (error) {
+            emit('error', { source: 'tracker', tracker: type, error });
+            throw error;
+        }
+    },
+
+    stopTracking() {
+        if (tracker) tracker.stop();
+        if (recorder.isRecording()) stopRecording();
+        tracker = null;
+    },
+
+    /**
+     * Add a model; resolves with its name, or null if it failed
+     */
+    async loadModel(url, { name, transform, replace = false } = {}) {
+        // Before the scene exists this just changes what initThreeJS loads
+        if (!worldGroup) {
+            const entry = { ...transform, url, name };
+            initialObjects = replace ? [entry] : [...initialObjects, entry];
+            return name || url.split('/').pop();
+        }
+        if (replace) [...sceneObjects].forEach(removeSceneObject);
+        const object = await loadModel(url, { name, transform });
+        return object ? object.name : null;
+    },
+
+    setStrength(value) {
+        if (floatControls['strength-value']) setControlValue('strength-value', value);
+        else parallaxStrength = value;
+    },
+
+    /**
+     * Frame around the window: { width (0 = none), color }
+     */
+    setFrame({ width, color } = {}) {
+        if (typeof color === 'string') {
+            frameColor = color;
+            const colorPicker = document.getElementById('frame-color');
+            if (colorPicker) colorPicker.value = color;
+        }
+        if (typeof width === 'number') {
+            if (floatControls['frame-w-value']) setControlValue('frame-w-value', width);
+            else frameWidth = width;
+        }
+        updateFrame();
+    },
+
+    /**
+     * Current frame as image Blob
+     */
+    screenshot(type = 'image/png') {
+        if (!renderer) return Promise.reject(new Error('Scene is not running'));
+
+        // Without preserveDrawingBuffer the canvas must be read right after rendering
+        renderScene();
+        return new Promise((resolve, reject) => {
+            threeCanvas.toBlob((blob) => {
+                if (blob) resolve(blob);
+                else reject(new Error('Screenshot failed'));
+            }, type);
+        });
+    },
+
+    getSettings() {
+        return getSceneSettings();
+    },
+
+    applySettings(settings) {
+        applySceneSettings(settings);
+    }
+});
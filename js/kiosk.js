@@ -0,0 +1,56 @@
+/**
+ * Kiosk / Attract Mode
+ * For unattended displays: start without a click, hide all UI, cycle a
+ * model playlist and orbit the view while nobody is watching.
+ *
+ * URL parameters:
+ *   ?kiosk                  enable (kiosk=0 disables)
+ *   &playlist=a.glb,b.glb   models to cycle (default: the normal scene)
+ *   &interval=30            seconds per model
+ */
+
+const DEFAULT_INTERVAL_S = 30;
+const CAMERA_RETRY_MS = 5000;
+
+/**
+ * Kiosk options from the page URL, or null when kiosk mode is off
+ */
+export function kioskFromUrl(location = window.location) {
+    const params = new URLSearchParams(location.search);
+    if (!params.has('kiosk') || params.get('kiosk') === '0') return null;
+
+    const playlist = (params.get('playlist') || '')
+        .split(',')
+        .map(url => url.trim())
+        .filter(Boolean);
+    const interval = parseFloat(params.get('interval'));
+
+    return {
+        playlist,
+        intervalMs: (interval > 0 ? interval : DEFAULT_INTERVAL_S) * 1000,
+        retryMs: CAMERA_RETRY_MS
+    };
+}
+
+/**
+ * Cycle through the playlist; onNext(url) is called for every switch
+ */
+export function createPlaylist(urls, intervalMs, onNext) {
+    let index = 0;
+    let timer = null;
+
+    return {
+        start() {
+            if (timer || urls.length < 2) return;
+            timer = setInterval(() => {
+                index = (index + 1) % urls.length;
+                onNext(urls[index]);
+            }, intervalMs);
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
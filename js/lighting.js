@@ -0,0 +1,90 @@
+/**
+ * Box Lighting
+ * Ambient + key + fill light rig with selectable presets, a global
+ * intensity / key color adjustment and a shadow-casting key light.
+ * Lights live in scene space (not in the rotated world group), so
+ * +Y is up on screen.
+ */
+
+import * as THREE from 'three';
+
+export const LIGHTING_PRESETS = {
+    // The original look: white key light, purple glow from below
+    default: {
+        ambient: { color: '#ffffff', intensity: 0.5 },
+        key: { color: '#ffffff', intensity: 1.0, position: [2, 3, 4] },
+        fill: { color: '#a855f7', intensity: 2.0, position: [0, -2, 0] }
+    },
+    studio: {
+        ambient: { color: '#ffffff', intensity: 0.3 },
+        key: { color: '#ffffff', intensity: 2.0, position: [3, 4, 5] },
+        fill: { color: '#ffffff', intensity: 1.5, position: [-3, 1, 3] }
+    },
+    sunset: {
+        ambient: { color: '#ffd8b0', intensity: 0.25 },
+        key: { color: '#ff9a4d', intensity: 2.0, position: [-4, 1, 3] },
+        fill: { color: '#4d7cff', intensity: 1.5, position: [3, 2, 2] }
+    },
+    night: {
+        ambient: { color: '#4060a0', intensity: 0.15 },
+        key: { color: '#9bb8ff', intensity: 0.8, position: [1, 4, 2] },
+        fill: { color: '#a855f7', intensity: 1.0, position: [0, -2, 1] }
+    }
+};
+
+// Area covered by the key light's shadow map (the front part of the box)
+const SHADOW_EXTENT = 6;
+const SHADOW_MAP_SIZE = 2048;
+
+/**
+ * Create the light rig in a scene
+ */
+export function createLighting(scene) {
+    const ambient = new THREE.AmbientLight();
+    const key = new THREE.DirectionalLight();
+    const fill = new THREE.PointLight(0xffffff, 1, 20);
+
+    key.target.position.set(0, 0, -2);
+    key.shadow.mapSize.set(SHADOW_MAP_SIZE, SHADOW_MAP_SIZE);
+    key.shadow.camera.left = key.shadow.camera.bottom = -SHADOW_EXTENT;
+    key.shadow.camera.right = key.shadow.camera.top = SHADOW_EXTENT;
+    key.shadow.camera.near = 0.5;
+    key.shadow.camera.far = 50;
+    key.shadow.bias = -0.0005;
+    key.shadow.normalBias = 0.02;
+
+    scene.add(ambient, key, key.target, fill);
+
+    const tint = new THREE.Color();
+
+    return {
+        /**
+         * Apply { preset, intensity (multiplier), color (key light tint), shadows }
+         */
+        apply({ preset = 'default', intensity = 1.0, color = '#ffffff', shadows = true }) {
+            const rig = LIGHTING_PRESETS[preset] || LIGHTING_PRESETS.default;
+            tint.set(color);
+
+            ambient.color.set(rig.ambient.color);
+            ambient.intensity = rig.ambient.intensity * intensity;
+
+            key.color.set(rig.key.color).multiply(tint);
+            key.intensity = rig.key.intensity * intensity;
+            key.position.set(...rig.key.position);
+            key.castShadow = shadows;
+
+            fill.color.set(rig.fill.color);
+            fill.intensity = rig.fill.intensity * intensity;
+            fill.position.set(...rig.fill.position);
+        },
+
+        /**
+         * Image-based lighting for PBR materials (null to remove)
+         */
+        setEnvironment(texture) {
+            if (scene.environment && scene.environment !== texture) scene.environment.dispose();
+            if (texture) texture.mapping = THREE.EquirectangularReflectionMapping;
+            scene.environment = texture;
+        }
+    };
+}
@@ -0,0 +1,203 @@
+/**
+ * Model Loader
+ * Loads glTF / GLB (also Draco, KTX2 and Meshopt compressed), OBJ (+ MTL),
+ * FBX and STL into one result shape: { scene, animations }.
+ *
+ * Uploaded or dropped files are loaded as a set, so a .gltf finds its .bin
+ * and textures (and an .obj its .mtl) by file name.
+ */
+
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { MTLLoader } from 'three/addons/loaders/MTLLoader.js';
+import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
+import { STLLoader } from 'three/addons/loaders/STLLoader.js';
+
+// Decoders are fetched on first use (same three.js version as the importmap)
+const ADDONS_URL = 'https://unpkg.com/three@0.160.0/examples/jsm/';
+const DRACO_DECODER_PATH = ADDONS_URL + 'libs/draco/gltf/';
+const BASIS_TRANSCODER_PATH = ADDONS_URL + 'libs/basis/';
+
+// Main file types, in the order they are picked from a file set
+export const MODEL_FORMATS = ['glb', 'gltf', 'fbx', 'obj', 'stl'];
+
+let dracoLoader = null;
+const ktx2Loaders = new WeakMap(); // Per renderer (supported texture formats differ)
+
+/**
+ * Lower-case file extension of a name or URL ('' if none)
+ */
+export function formatFromName(name) {
+    const match = /\.([a-z0-9]+)(?:[?#].*)?$/i.exec(name);
+    return match ? match[1].toLowerCase() : '';
+}
+
+function loadError(code, message, extra = {}) {
+    return Object.assign(new Error(message), { code }, extra);
+}
+
+function getDracoLoader() {
+    if (!dracoLoader) dracoLoader = new DRACOLoader().setDecoderPath(DRACO_DECODER_PATH);
+    return dracoLoader;
+}
+
+function getKTX2Loader(renderer) {
+    if (!ktx2Loaders.has(renderer)) {
+        ktx2Loaders.set(renderer, new KTX2Loader().setTranscoderPath(BASIS_TRANSCODER_PATH).detectSupport(renderer));
+    }
+    return ktx2Loaders.get(renderer);
+}
+
+/**
+ * Blob URLs for a list of files (upload / drop) with the main model picked
+ * Referenced files (.bin, textures, .mtl) are resolved by name; names that
+ * were asked for but not given are collected in `missing`.
+ */
+export function createFileSet(fileList) {
+    const files = Array.from(fileList);
+    const main = MODEL_FORMATS
+        .map(format => files.find(file => formatFromName(file.name) === format))
+        .find(Boolean);
+    if (!main) {
+        throw loadError('unsupported', 'No supported model file');
+    }
+
+    const urls = new Map(); // lower-case file name -> blob URL
+    files.forEach(file => urls.set(file.name.toLowerCase(), URL.createObjectURL(file)));
+
+    const missing = [];
+    const manager = new THREE.LoadingManager();
+    manager.setURLModifier((url) => {
+        if (url.startsWith('data:')) return url;
+        const name = decodeURIComponent(url.split(/[?#]/)[0].split('/').pop()).toLowerCase();
+        if (urls.has(name)) return urls.get(name);
+        // Relative references resolve against the blob URL of the main file
+        if (url.startsWith('blob:') && !Array.from(urls.values()).includes(url)) missing.push(name);
+        return url;
+    });
+
+    const mainUrl = urls.get(main.name.toLowerCase());
+    const mtl = files.find(file => formatFromName(file.name) === 'mtl');
+
+    return {
+        name: main.name,
+        format: formatFromName(main.name),
+        url: mainUrl,
+        mtlUrl: mtl ? urls.get(mtl.name.toLowerCase()) : null,
+        manager,
+        missing,
+
+        /**
+         * Free the referenced files (the main URL stays, it names the object)
+         */
+        revokeResources() {
+            urls.forEach((url) => {
+                if (url !== mainUrl) URL.revokeObjectURL(url);
+            });
+        }
+    };
+}
+
+/**
+ * Load a model; format defaults to the URL's extension
+ * URLs without a known extension (e.g. /api/model?id=3) are tried as glTF,
+ * which also reads binary GLB. An explicit unknown format is an error.
+ * files: result of createFileSet() for uploads. renderer enables KTX2 textures.
+ */
+export async function loadModelAsset(url, { format = null, files = null, renderer = null, onProgress } = {}) {
+    const manager = files ? files.manager : THREE.DefaultLoadingManager;
+    const guessed = formatFromName(url);
+    const type = format || (MODEL_FORMATS.includes(guessed) ? guessed : 'gltf');
+
+    try {
+        switch (type) {
+            case 'glb':
+            case 'gltf': {
+                const loader = new GLTFLoader(manager)
+                    .setDRACOLoader(getDracoLoader())
+                    .setMeshoptDecoder(MeshoptDecoder);
+                if (renderer) loader.setKTX2Loader(getKTX2Loader(renderer));
+                const gltf = await loader.loadAsync(url, onProgress);
+                return { scene: gltf.scene, animations: gltf.animations };
+            }
+
+            case 'obj': {
+                const loader = new OBJLoader(manager);
+                if (files && files.mtlUrl) {
+                    const materials = await new MTLLoader(manager).loadAsync(files.mtlUrl);
+                    materials.preload();
+                    loader.setMaterials(materials);
+                }
+                return { scene: await loader.loadAsync(url, onProgress), animations: [] };
+            }
+
+            case 'fbx': {
+                const group = await new FBXLoader(manager).loadAsync(url, onProgress);
+                return { scene: group, animations: group.animations };
+            }
+
+            case 'stl': {
+                const geometry = await new STLLoader(manager).loadAsync(url, onProgress);
+                const material = new THREE.MeshStandardMaterial({
+                    color: geometry.hasColors ? 0xffffff : 0xcccccc,
+                    vertexColors: !!geometry.hasColors,
+                    roughness: 0.6
+                });
+                const group = new THREE.Group();
+                group.add(new THREE.Mesh(geometry, material));
+                return { scene: group, animations: [] };
+            }
+
+            default:
+                throw loadError('unsupported', `Unsupported format ".${type}"`);
+        }
+    } catch (error) {
+        // A missing .bin / texture shows up as some later parse or image error
+        if (files && files.missing.length > 0) {
+            throw loadError('missing-file', 'Missing files: ' + files.missing.join(', '), {
+                files: [...new Set(files.missing)], cause: error
+            });
+        }
+        throw error;
+    }
+}
+
+/**
+ * User-facing message for a failed load (name = file or URL shown to the user)
+ */
+export function describeLoadError(error, name) {
+    const message = (error && error.message) || '';
+    const status = error && error.response ? error.response.status : 0;
+
+    if (error && error.code === 'unsupported') {
+        return `${name}: Unsupported file type. Use .glb, .gltf (with its files), .obj, .fbx or .stl.`;
+    }
+    if (error && error.code === 'missing-file') {
+        return `${name}: Missing ${error.files.join(', ')}. Select or drop the model together with all of its files.`;
+    }
+    if (status === 404) return `${name}: File not found (404).`;
+    if (status) return `${name}: The server answered with HTTP ${status}.`;
+    if (error instanceof TypeError && /fetch|network|load failed/i.test(message)) {
+        if (window.location.protocol === 'file:') {
+            return `${name}: Browsers block loading models from file://. Start a local web server (e.g. "npx serve").`;
+        }
+        return `${name}: Download failed - offline, or the server does not allow cross-origin requests (CORS).`;
+    }
+    if (/draco|ktx2|basis|meshopt/i.test(message)) {
+        return `${name}: The decoder for the compressed data could not be loaded.`;
+    }
+    if (/unknown extension|unsupported/i.test(message)) {
+        return `${name}: ${message.replace(/^THREE\.\w+: /, '')}`;
+    }
+    if (typeof Event !== 'undefined' && error instanceof Event) {
+        return `${name}: A texture or referenced file could not be loaded.`;
+    }
+    if (error instanceof SyntaxError || error instanceof RangeError || /invalid|unexpected|magic|version/i.test(message)) {
+        return `${name}: The file is damaged or not a valid model.`;
+    }
+    return `${name}: Could not load the model (${message || 'unknown error'}).`;
+}
@@ -0,0 +1,48 @@
+/**
+ * Placement Math
+ * The pure parts of fitting a model into the box (no DOM, no three), so they
+ * can be unit tested in Node: fit scale and the height of the lowest point
+ * of a rotated model box.
+ *
+ * Vectors are plain { x, y, z }. Y is the world group's Y, which points down
+ * on screen (the world group is rotated 180°), so the floor is at +halfHeight.
+ */
+
+/**
+ * Base scale of a model with the given bounding box size
+ * fit: 'fixed' (fixedSize units) | 'window' (fraction of the window) | 'depth' (fraction of the depth)
+ * container: { halfWidth, halfHeight, depth }; without it every fit is 'fixed'
+ */
+export function fitScale(size, { fit = 'fixed', fraction = 0.5, container = null, fixedSize = 1.5 } = {}) {
+    const maxDim = Math.max(size.x, size.y, size.z);
+    // Spinning sweeps both horizontal axes
+    const across = Math.max(size.x, size.z);
+
+    if (container && fit === 'window' && across > 0 && size.y > 0) {
+        return fraction * Math.min(2 * container.halfWidth / across, 2 * container.halfHeight / size.y);
+    }
+    if (container && fit === 'depth' && size.z > 0) {
+        return fraction * container.depth / size.z;
+    }
+    return maxDim > 0 ? fixedSize / maxDim : 1.0;
+}
+
+/**
+ * How far below the pivot the lowest point of a box lies after rotating
+ * (Euler XYZ, radians, as three.js) and scaling it
+ * center: box center relative to the pivot, half: half the box size
+ */
+export function lowestPointBelowPivot(center, half, rotation, scale) {
+    const a = Math.cos(rotation.x), b = Math.sin(rotation.x);
+    const c = Math.cos(rotation.y), d = Math.sin(rotation.y);
+    const e = Math.cos(rotation.z), f = Math.sin(rotation.z);
+
+    // Y row of the rotation matrix
+    const rx = a * f + b * e * d;
+    const ry = a * e - b * f * d;
+    const rz = -b * c;
+
+    const centerY = rx * center.x + ry * center.y + rz * center.z;
+    const extent = Math.abs(rx) * half.x + Math.abs(ry) * half.y + Math.abs(rz) * half.z;
+    return scale * (centerY + extent);
+}
@@ -0,0 +1,126 @@
+/**
+ * Scene Presets
+ * Named snapshots of all scene settings, kept in localStorage and
+ * exchangeable as JSON files or share links.
+ *
+ * File format (version 1):
+ *   { format: 'headtrack-preset', version: 1, name, settings: { ... } }
+ *
+ * URL parameters:
+ *   ?preset=<name>          saved preset from this browser
+ *   ?preset=<path>.json     preset file fetched from that URL
+ *   #preset=<base64 JSON>   preset embedded in the link (see createShareLink)
+ */
+
+const STORAGE_KEY = 'headtrack_presets';
+export const PRESET_FORMAT = 'headtrack-preset';
+export const PRESET_VERSION = 1;
+
+function readAll() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+        console.warn('Presets: Could not read saved presets', e);
+        return {};
+    }
+}
+
+function writeAll(presets) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+}
+
+/**
+ * Names of all saved presets, sorted
+ */
+export function listPresets() {
+    return Object.keys(readAll()).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Settings of a saved preset (or null)
+ */
+export function loadPreset(name) {
+    return readAll()[name] || null;
+}
+
+export function savePreset(name, settings) {
+    const presets = readAll();
+    presets[name] = settings;
+    writeAll(presets);
+}
+
+export function deletePreset(name) {
+    const presets = readAll();
+    delete presets[name];
+    writeAll(presets);
+}
+
+/**
+ * Offer a preset as a JSON download
+ */
+export function exportPreset(name, settings) {
+    const data = { format: PRESET_FORMAT, version: PRESET_VERSION, name, settings };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${name.replace(/[^\w-]+/g, '_') || 'preset'}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Parse a preset file; returns { name, settings }
+ */
+export function parsePresetFile(text) {
+    const data = JSON.parse(text);
+
+    if (data.format !== PRESET_FORMAT || typeof data.settings !== 'object' || data.settings === null) {
+        throw new Error('Not a preset file');
+    }
+    if (data.version > PRESET_VERSION) {
+        throw new Error(`Unsupported preset version ${data.version}`);
+    }
+
+    return { name: data.name || 'Imported', settings: data.settings };
+}
+
+/**
+ * Link to the current page that carries the settings in its hash
+ */
+export function createShareLink(settings) {
+    const json = JSON.stringify(settings);
+    // UTF-8 safe base64url
+    const base64 = btoa(String.fromCharCode(...new TextEncoder().encode(json)))
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+    const url = new URL(window.location.href);
+    url.searchParams.delete('preset');
+    url.hash = 'preset=' + base64;
+    return url.toString();
+}
+
+/**
+ * Resolve the preset requested by the page URL (or null)
+ */
+export async function presetFromUrl(location = window.location) {
+    const hash = new URLSearchParams(location.hash.slice(1)).get('preset');
+    if (hash) {
+        const base64 = hash.replace(/-/g, '+').replace(/_/g, '/');
+        const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    const param = new URLSearchParams(location.search).get('preset');
+    if (!param) return null;
+
+    if (param.endsWith('.json')) {
+        const response = await fetch(param);
+        if (!response.ok) throw new Error(`Preset ${param}: HTTP ${response.status}`);
+        return parsePresetFile(await response.text()).settings;
+    }
+
+    const settings = loadPreset(param);
+    if (!settings) throw new Error(`Preset "${param}" not found`);
+    return settings;
+}
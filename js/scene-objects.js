@@ -0,0 +1,244 @@
+/**
+ * Scene Objects
+ * One entry per model placed in the box, each with its own transform,
+ * idle motion and animation mixer.
+ */
+
+import * as THREE from 'three';
+import { fitScale, lowestPointBelowPivot } from './placement-math.js';
+
+// Resting position inside the (180° rotated) world group
+const BASE_Y = -0.5;
+const BASE_Z = 1.0;
+
+// Fitted size of a freshly loaded model in world units ('fixed' fit)
+const FIT_SIZE = 1.5;
+
+// 'fixed': FIT_SIZE units, 'window': fraction of the window, 'depth': fraction of the box depth
+export const FIT_MODES = ['fixed', 'window', 'depth'];
+
+// Per-object settings that are saved in presets
+const TRANSFORM_KEYS = [
+    'userScale', 'offsetX', 'offsetY', 'offsetZ',
+    'rotationX', 'rotationY', 'rotationZ', 'spin', 'float',
+    'autoCenter', 'floorSnap', 'fit', 'fitFraction'
+];
+const BOOLEAN_KEYS = ['spin', 'float', 'autoCenter', 'floorSnap'];
+
+let nextId = 1;
+
+/**
+ * Wrap a loaded model (gltf.scene etc.) into a scene object
+ * Transform values default to the classic single-model setup.
+ * container: { halfWidth, halfHeight, depth } of the box, needed for
+ * window / depth fitting and floor snapping (see fitSceneObject).
+ */
+export function createSceneObject({ root: model, clips = [], url, name }, transform = {}, container = null) {
+    // The model hangs in a pivot, so it can be centered without touching its own transform
+    const root = new THREE.Group();
+    root.name = name || 'Model';
+    root.add(model);
+
+    const object = {
+        id: nextId++,
+        name: name || 'Model',
+        url,
+        root,
+        model,
+        modelPosition: model.position.clone(),
+        bounds: new THREE.Box3().setFromObject(model), // Rest pose, model units
+        pivotCenter: new THREE.Vector3(), // Bounds center relative to the pivot (set by fitSceneObject)
+        halfSize: new THREE.Vector3(),
+        container,
+        baseScale: 1.0,   // Set by fitSceneObject
+        userScale: 1.0,
+        offsetX: 0.0,
+        offsetY: 0.0,
+        offsetZ: 1.50,
+        rotationX: 0, // Degrees
+        rotationY: 0,
+        rotationZ: 0,
+        spin: true,   // Idle rotation around Y
+        float: true,  // Idle up/down bobbing
+        autoCenter: true,  // Pivot at the bounding box center
+        floorSnap: false,  // Rest on the box floor (Pos Y lifts it)
+        fit: 'fixed',
+        fitFraction: 0.5,  // Share of the window / depth for 'window' and 'depth'
+        spinAngle: 0,
+        clips,
+        mixer: clips.length > 0 ? new THREE.AnimationMixer(model) : null,
+        activeAction: null
+    };
+
+    Object.assign(object, pickTransform(transform));
+    root.userData.sceneObjectId = object.id;
+    root.traverse((child) => {
+        if (child.isMesh) child.castShadow = child.receiveShadow = true;
+    });
+    fitSceneObject(object);
+    return object;
+}
+
+function pickTransform(source) {
+    const result = {};
+    TRANSFORM_KEYS.forEach((key) => {
+        const type = BOOLEAN_KEYS.includes(key) ? 'boolean' : key === 'fit' ? 'string' : 'number';
+        if (typeof source[key] === type) result[key] = source[key];
+    });
+    if (result.fit && !FIT_MODES.includes(result.fit)) delete result.fit;
+    return result;
+}
+
+/**
+ * Recompute base scale and centering, e.g. after the fit settings or the
+ * box (container) changed. Without a container 'window' / 'depth' fall back to 'fixed'.
+ */
+export function fitSceneObject(object, container = object.container) {
+    object.container = container;
+    const { bounds, model } = object;
+    const size = bounds.getSize(new THREE.Vector3());
+
+    object.baseScale = fitScale(size, {
+        fit: object.fit, fraction: object.fitFraction, container, fixedSize: FIT_SIZE
+    });
+
+    model.position.copy(object.modelPosition);
+    if (object.autoCenter && !bounds.isEmpty()) {
+        model.position.sub(bounds.getCenter(new THREE.Vector3()));
+    }
+
+    // Kept for floor snapping (baseY runs every frame)
+    bounds.getCenter(object.pivotCenter).add(model.position).sub(object.modelPosition);
+    object.halfSize.copy(size).multiplyScalar(0.5);
+    applyObjectTransform(object);
+}
+
+/**
+ * Y of the root for offsetY = 0: the resting height, or the height at
+ * which the model's lowest point touches the box floor
+ */
+function baseY(object, time) {
+    const float = object.float ? Math.sin(time * 0.5) * 0.05 : 0;
+    if (!object.floorSnap || !object.container || object.bounds.isEmpty()) return BASE_Y + float;
+
+    // Model box turned with the root (world +Y is down on screen)
+    const below = lowestPointBelowPivot(
+        object.pivotCenter, object.halfSize, object.root.rotation, object.baseScale * object.userScale
+    );
+
+    // Floating only lifts off the floor
+    return object.container.halfHeight - below - Math.abs(float);
+}
+
+/**
+ * Apply scale, rotation and the static part of the position
+ */
+export function applyObjectTransform(object, time = performance.now() * 0.001) {
+    const { root } = object;
+    const s = object.baseScale * object.userScale;
+    root.scale.set(s, s, s);
+
+    root.rotation.set(
+        THREE.MathUtils.degToRad(object.rotationX),
+        THREE.MathUtils.degToRad(object.rotationY) + object.spinAngle,
+        THREE.MathUtils.degToRad(object.rotationZ)
+    );
+
+    // Note: World is rotated 180 deg, so X and Y axes are inverted relative to screen
+    // We invert the applied values so (+) button moves object Right/Up on screen
+    root.position.x = -object.offsetX;
+
+    // Base Y is -0.5 (or on the floor, see baseY) plus the float sine wave.
+    // User Offset: (+) means UP on screen -> Decrements Y in inverted world.
+    root.position.y = baseY(object, time) - object.offsetY;
+
+    // Z is Depth and not affected by the Z rotation: (+) brings it closer
+    root.position.z = BASE_Z + object.offsetZ;
+}
+
+/**
+ * Inverse of applyObjectTransform: take the root's current transform
+ * (e.g. after dragging it in the scene) back into the object's settings.
+ * Non-uniform scale is reduced to the component that changed the most.
+ */
+export function readObjectTransform(object, time = performance.now() * 0.001) {
+    const { root } = object;
+
+    // Degrees in -180..180 (the spin angle keeps growing)
+    const toDegrees = rad => ((THREE.MathUtils.radToDeg(rad) + 180) % 360 + 360) % 360 - 180;
+    object.rotationX = toDegrees(root.rotation.x);
+    object.rotationY = toDegrees(root.rotation.y - object.spinAngle);
+    object.rotationZ = toDegrees(root.rotation.z);
+
+    const current = object.baseScale * object.userScale;
+    const scale = [root.scale.x, root.scale.y, root.scale.z]
+        .reduce((a, b) => (Math.abs(b - current) > Math.abs(a - current) ? b : a));
+    object.userScale = scale / object.baseScale;
+
+    // After scale and rotation: the floor height depends on both
+    object.offsetX = -root.position.x;
+    object.offsetY = baseY(object, time) - root.position.y;
+    object.offsetZ = root.position.z - BASE_Z;
+}
+
+/**
+ * Per-frame update: authored animation + idle spin/float
+ */
+export function updateSceneObject(object, dt, time) {
+    if (object.mixer) object.mixer.update(dt);
+    if (object.spin) object.spinAngle += 0.005;
+    applyObjectTransform(object, time);
+}
+
+/**
+ * Crossfade to another clip of the object
+ */
+export function playObjectClip(object, index) {
+    const clip = object.clips[index];
+    if (!object.mixer || !clip) return;
+
+    const action = object.mixer.clipAction(clip);
+    action.reset().play();
+    if (object.activeAction && object.activeAction !== action) {
+        action.crossFadeFrom(object.activeAction, 0.3, false);
+    }
+    object.activeAction = action;
+    object.activeAction.paused = false;
+}
+
+/**
+ * Free GPU resources of the object
+ */
+export function disposeSceneObject(object) {
+    if (object.mixer) object.mixer.stopAllAction();
+
+    object.root.traverse((child) => {
+        if (child.isMesh) {
+            child.geometry.dispose();
+            if (child.material) {
+                if (Array.isArray(child.material)) child.material.forEach(m => m.dispose());
+                else child.material.dispose();
+            }
+        }
+    });
+}
+
+/**
+ * Plain data of an object for presets (null for uploads, which only exist in this tab)
+ */
+export function serializeSceneObject(object) {
+    if (!object.url || object.url.startsWith('blob:')) return null;
+
+    const data = { url: object.url, name: object.name };
+    TRANSFORM_KEYS.forEach((key) => { data[key] = object[key]; });
+    return data;
+}
+
+/**
+ * Object entry of a loaded preset: presets saved before auto centering
+ * existed have a transform but no autoCenter and keep their placement
+ */
+export function upgradePresetObject(data) {
+    if ('autoCenter' in data || !TRANSFORM_KEYS.some(key => key in data)) return data;
+    return { ...data, autoCenter: false };
+}
@@ -0,0 +1,125 @@
+/**
+ * Head Tracking Sessions
+ * Records raw face detection results to a JSON file that the replay
+ * tracker can play back, e.g. to reproduce jitter bugs.
+ *
+ * File format (version 1):
+ * {
+ *   format: 'headtrack-session', version: 1, recordedAt: ISO date,
+ *   video: { width, height },
+ *   settings: { ...tracking settings at record start },
+ *   frames: [{ t: ms since start, detections: [{ score, boundingBox, landmarks }] }]
+ * }
+ *
+ * Plain pose recordings ([{ t, x, y, distance }]) are accepted as well.
+ */
+
+export const SESSION_FORMAT = 'headtrack-session';
+export const SESSION_VERSION = 1;
+
+/**
+ * Detection confidence (the MediaPipe JS build keeps it in a minified field)
+ */
+export function detectionScore(detection) {
+    if (typeof detection.score === 'number') return detection.score;
+    if (Array.isArray(detection.score)) return detection.score[0];
+    if (detection.V && detection.V[0]) return detection.V[0].score;
+    return 1;
+}
+
+/**
+ * Copy only the plain data of a MediaPipe detection
+ */
+function serializeDetection(detection) {
+    const { xCenter, yCenter, width, height } = detection.boundingBox;
+    return {
+        score: detectionScore(detection),
+        boundingBox: { xCenter, yCenter, width, height },
+        landmarks: (detection.landmarks || []).map(({ x, y }) => ({ x, y }))
+    };
+}
+
+/**
+ * Create a recorder for face detection results
+ */
+export function createSessionRecorder() {
+    let session = null;
+    let startTime = 0;
+
+    return {
+        isRecording() {
+            return session !== null;
+        },
+
+        start(settings, video) {
+            startTime = performance.now();
+            session = {
+                format: SESSION_FORMAT,
+                version: SESSION_VERSION,
+                recordedAt: new Date().toISOString(),
+                video: { width: video.videoWidth, height: video.videoHeight },
+                settings: JSON.parse(JSON.stringify(settings)),
+                frames: []
+            };
+        },
+
+        addFrame(results) {
+            if (!session) return;
+            session.frames.push({
+                t: Math.round((performance.now() - startTime) * 10) / 10,
+                detections: results.detections.map(serializeDetection)
+            });
+        },
+
+        stop() {
+            const recorded = session;
+            session = null;
+            return recorded;
+        }
+    };
+}
+
+/**
+ * Offer a session as a JSON download
+ */
+export function downloadSession(session) {
+    const blob = new Blob([JSON.stringify(session)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `headtrack-session-${session.recordedAt.replace(/[:.]/g, '-')}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Parse a session (or plain pose recording) file
+ * Returns { settings, video, frames } with frames sorted by time
+ */
+export function parseSessionFile(text) {
+    const data = JSON.parse(text);
+
+    if (Array.isArray(data)) {
+        return { settings: null, video: null, frames: normalizeFrames(data) };
+    }
+
+    if (data.format === SESSION_FORMAT && data.version > SESSION_VERSION) {
+        throw new Error(`Unsupported session version ${data.version}`);
+    }
+    if (!Array.isArray(data.frames)) throw new Error('Invalid session file: no frames');
+
+    return {
+        settings: data.settings || null,
+        video: data.video || null,
+        frames: normalizeFrames(data.frames)
+    };
+}
+
+function normalizeFrames(frames) {
+    const valid = frames.filter(f => typeof f.t === 'number' &&
+        (Array.isArray(f.detections) || (typeof f.x === 'number' && typeof f.y === 'number')));
+
+    if (valid.length === 0) throw new Error('Invalid session file: no frames');
+
+    return valid.sort((a, b) => a.t - b.t);
+}
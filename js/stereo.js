@@ -0,0 +1,136 @@
+/**
+ * Stereoscopic Output
+ * Renders a left/right camera pair as red/cyan anaglyph or as
+ * side-by-side / top-bottom frames for 3D TVs.
+ * The per-eye off-axis projections are set up by the caller.
+ */
+
+import * as THREE from 'three';
+
+// Dubois least-squares red/cyan matrices (as in three's AnaglyphEffect)
+const COLOR_MATRIX_LEFT = new THREE.Matrix3().fromArray([
+    0.456100, -0.0400822, -0.0152161,
+    0.500484, -0.0378246, -0.0205971,
+    0.176381, -0.0157589, -0.00546856
+]);
+const COLOR_MATRIX_RIGHT = new THREE.Matrix3().fromArray([
+    -0.0434706, 0.378476, -0.0721527,
+    -0.0879388, 0.73364, -0.112961,
+    -0.00155529, -0.0184503, 1.2264
+]);
+
+/**
+ * Create a stereo renderer on top of an existing WebGLRenderer
+ */
+export function createStereoRenderer(renderer) {
+    const size = new THREE.Vector2();
+    let anaglyph = null; // Render targets + composite pass, created on first use
+
+    const createAnaglyph = () => {
+        renderer.getDrawingBufferSize(size);
+        const options = { minFilter: THREE.LinearFilter, magFilter: THREE.NearestFilter, format: THREE.RGBAFormat };
+        const left = new THREE.WebGLRenderTarget(size.x, size.y, options);
+        const right = new THREE.WebGLRenderTarget(size.x, size.y, options);
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                mapLeft: { value: left.texture },
+                mapRight: { value: right.texture },
+                colorMatrixLeft: { value: COLOR_MATRIX_LEFT },
+                colorMatrixRight: { value: COLOR_MATRIX_RIGHT }
+            },
+            vertexShader: `
+                varying vec2 vUv;
+                void main() {
+                    vUv = uv;
+                    gl_Position = vec4(position.xy, 0.0, 1.0);
+                }`,
+            fragmentShader: `
+                uniform sampler2D mapLeft;
+                uniform sampler2D mapRight;
+                uniform mat3 colorMatrixLeft;
+                uniform mat3 colorMatrixRight;
+                varying vec2 vUv;
+                void main() {
+                    vec4 colorL = texture2D(mapLeft, vUv);
+                    vec4 colorR = texture2D(mapRight, vUv);
+                    vec3 color = clamp(colorMatrixLeft * colorL.rgb + colorMatrixRight * colorR.rgb, 0.0, 1.0);
+                    gl_FragColor = vec4(color, max(colorL.a, colorR.a));
+                    #include <colorspace_fragment>
+                }`
+        });
+
+        const quadScene = new THREE.Scene();
+        quadScene.add(new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material));
+
+        return {
+            left, right, material, quadScene,
+            quadCamera: new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1)
+        };
+    };
+
+    /**
+     * Render both eyes into two halves of the canvas
+     */
+    const renderSplit = (scene, leftCamera, rightCamera, vertical) => {
+        renderer.getSize(size);
+        const w = vertical ? size.x : size.x / 2;
+        const h = vertical ? size.y / 2 : size.y;
+
+        renderer.setScissorTest(true);
+
+        // Left eye: left half / top half (viewport origin is bottom-left)
+        renderer.setViewport(0, vertical ? h : 0, w, h);
+        renderer.setScissor(0, vertical ? h : 0, w, h);
+        renderer.render(scene, leftCamera);
+
+        renderer.setViewport(vertical ? 0 : w, 0, w, h);
+        renderer.setScissor(vertical ? 0 : w, 0, w, h);
+        renderer.render(scene, rightCamera);
+
+        renderer.setScissorTest(false);
+        renderer.setViewport(0, 0, size.x, size.y);
+    };
+
+    return {
+        /**
+         * Render a frame in the given mode ('anaglyph' | 'sbs' | 'tb')
+         */
+        render(scene, leftCamera, rightCamera, mode) {
+            if (mode === 'sbs' || mode === 'tb') {
+                renderSplit(scene, leftCamera, rightCamera, mode === 'tb');
+                return;
+            }
+
+            if (!anaglyph) anaglyph = createAnaglyph();
+
+            const previousTarget = renderer.getRenderTarget();
+            renderer.setRenderTarget(anaglyph.left);
+            renderer.clear();
+            renderer.render(scene, leftCamera);
+            renderer.setRenderTarget(anaglyph.right);
+            renderer.clear();
+            renderer.render(scene, rightCamera);
+            renderer.setRenderTarget(previousTarget);
+            renderer.render(anaglyph.quadScene, anaglyph.quadCamera);
+        },
+
+        /**
+         * Keep the anaglyph buffers in sync with the canvas size
+         */
+        setSize() {
+            if (!anaglyph) return;
+            renderer.getDrawingBufferSize(size);
+            anaglyph.left.setSize(size.x, size.y);
+            anaglyph.right.setSize(size.x, size.y);
+        },
+
+        dispose() {
+            if (!anaglyph) return;
+            anaglyph.left.dispose();
+            anaglyph.right.dispose();
+            anaglyph.material.dispose();
+            anaglyph = null;
+        }
+    };
+}
@@ -0,0 +1,354 @@
+/**
+ * Tracking Providers
+ * Every provider has the same shape:
+ *
+ *   { name, reportsLoss, start(onPose): Promise, stop() }
+ *
+ * reportsLoss: the provider emits continuously while it sees the viewer, so
+ * a gap in poses means tracking was lost (pointer/tilt only emit on change).
+ *
+ * onPose receives a normalized head pose:
+ *   x, y      -1 to 1, center = 0 (same convention as the face bounding box center)
+ *   distance  viewer distance in cm, or null if the provider cannot tell
+ *   timestamp performance.now() based time in ms
+ */
+
+const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+
+// Camera / detector settings of the face tracker
+export const DEFAULT_CAMERA_OPTIONS = {
+    deviceId: '',          // '' = any user-facing camera
+    width: 1280,
+    height: 720,
+    model: 'short',        // MediaPipe model: 'short' (< 2 m) | 'full' (< 5 m)
+    minDetectionConfidence: 0.5,
+    detectionRate: 0       // Detections per second, 0 = every video frame
+};
+
+/**
+ * MediaPipe face detection on the webcam
+ * Uses the global FaceDetection object from the script tag. Frames are fed
+ * from our own loop (not camera_utils' Camera, which opens its own stream),
+ * so the chosen device is used and the detection rate is independent of
+ * the render FPS.
+ * toPose converts raw results to a pose (or null when there is no face).
+ * onEnded is called when the camera stream stops by itself (unplugged, revoked).
+ */
+export function createFaceTracker({ video, toPose, onEnded, options = {} }) {
+    const settings = { ...DEFAULT_CAMERA_OPTIONS, ...options };
+    let stream = null;
+    let faceDetection = null;
+    let frameRequest = null;
+    let startRun = 0;         // Bumped by start() and stop(): a stopped start gives up
+    let wakeStart = null;     // Ends the wait for the video when stopped meanwhile
+
+    const detectLoop = () => {
+        let busy = false;
+        let lastSend = 0;
+
+        const tick = async () => {
+            if (!faceDetection) return;
+            frameRequest = requestAnimationFrame(tick);
+
+            const now = performance.now();
+            const interval = settings.detectionRate > 0 ? 1000 / settings.detectionRate : 0;
+            if (busy || video.readyState < 2 || now - lastSend < interval) return;
+
+            busy = true;
+            lastSend = now;
+            try {
+                await faceDetection.send({ image: video });
+            } catch (e) {
+                console.warn('Face detection failed:', e);
+            } finally {
+                busy = false;
+            }
+        };
+        tick();
+    };
+
+    return {
+        name: 'face',
+        reportsLoss: true,
+        settings,
+
+        async start(onPose) {
+            const run = ++startRun;
+            const throwIfStopped = () => {
+                if (run !== startRun) throw Object.assign(new Error('Tracker stopped'), { name: 'AbortError' });
+            };
+
+            const opened = await openCameraStream(settings);
+            if (run !== startRun) opened.getTracks().forEach(track => track.stop());
+            throwIfStopped();
+
+            stream = opened;
+            if (onEnded) {
+                stream.getVideoTracks().forEach(track => track.addEventListener('ended', onEnded));
+            }
+            video.srcObject = stream;
+            video.play().catch(e => console.log('Autoplay prevented:', e));
+            await new Promise(resolve => video.onloadedmetadata = wakeStart = resolve);
+            wakeStart = null;
+            throwIfStopped();
+
+            // From here stop() closes the detector as well
+            faceDetection = new FaceDetection({
+                locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/face_detection/${file}`
+            });
+
+            faceDetection.setOptions({
+                model: settings.model,
+                minDetectionConfidence: settings.minDetectionConfidence
+            });
+
+            faceDetection.onResults((results) => {
+                const pose = toPose(results);
+                if (pose) onPose(pose);
+            });
+
+            await faceDetection.initialize();
+            throwIfStopped();
+            detectLoop();
+        },
+
+        /**
+         * Change the detection rate while running (Hz, 0 = every frame)
+         */
+        setDetectionRate(rate) {
+            settings.detectionRate = rate;
+        },
+
+        /**
+         * Label and id of the camera in use
+         */
+        getDevice() {
+            const track = stream && stream.getVideoTracks()[0];
+            if (!track) return null;
+            return { deviceId: track.getSettings().deviceId, label: track.label };
+        },
+
+        stop() {
+            startRun++;
+            if (wakeStart) wakeStart();
+            cancelAnimationFrame(frameRequest);
+            if (faceDetection) faceDetection.close();
+            if (stream) {
+                // Stopping on purpose fires no 'ended', but be explicit
+                if (onEnded) stream.getVideoTracks().forEach(track => track.removeEventListener('ended', onEnded));
+                stream.getTracks().forEach(track => track.stop());
+            }
+            video.srcObject = null;
+            frameRequest = faceDetection = stream = null;
+        }
+    };
+}
+
+/**
+ * Open the camera, relaxing constraints until one works
+ * A chosen device is tried first; if it is gone any user-facing camera is used.
+ */
+async function openCameraStream({ deviceId, width, height }) {
+    const size = { width: { ideal: width }, height: { ideal: height } };
+    const constraints = [
+        { video: { ...size, facingMode: 'user' } },
+        { video: { facingMode: 'user' } },
+        { video: true }
+    ];
+    if (deviceId) {
+        constraints.unshift(
+            { video: { ...size, deviceId: { exact: deviceId } } },
+            { video: { deviceId: { exact: deviceId } } }
+        );
+    }
+
+    let error = null;
+
+    for (const constraint of constraints) {
+        try {
+            return await navigator.mediaDevices.getUserMedia(constraint);
+        } catch (e) {
+            error = e;
+        }
+    }
+
+    throw error || new Error('Could not access camera');
+}
+
+/**
+ * Available cameras (labels are empty until camera permission was granted)
+ */
+export async function listCameras() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+        .filter(device => device.kind === 'videoinput')
+        .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Camera ${i + 1}` }));
+}
+
+/**
+ * Mouse / touch position as head position
+ * Moving the pointer right behaves like moving the head right.
+ */
+export function createPointerTracker({ target = window } = {}) {
+    let handler = null;
+
+    return {
+        name: 'pointer',
+        reportsLoss: false,
+
+        async start(onPose) {
+            handler = (e) => {
+                onPose({
+                    // Face X is in (unmirrored) camera space, so screen-right is negative
+                    x: -clamp((e.clientX / window.innerWidth - 0.5) * 2, -1, 1),
+                    y: clamp((e.clientY / window.innerHeight - 0.5) * 2, -1, 1),
+                    distance: null,
+                    timestamp: performance.now()
+                });
+            };
+            target.addEventListener('pointermove', handler);
+        },
+
+        stop() {
+            if (handler) target.removeEventListener('pointermove', handler);
+            handler = null;
+        }
+    };
+}
+
+/**
+ * Device tilt (phones / tablets) as head position
+ * The orientation at start is taken as the neutral pose.
+ */
+export function createOrientationTracker({ range = 30 } = {}) {
+    let handler = null;
+
+    return {
+        name: 'orientation',
+        reportsLoss: false,
+
+        async start(onPose) {
+            if (!('DeviceOrientationEvent' in window)) {
+                throw new Error('Device orientation is not supported');
+            }
+
+            // iOS needs an explicit permission request from a user gesture
+            if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+                const state = await DeviceOrientationEvent.requestPermission();
+                if (state !== 'granted') throw new Error('Device orientation permission denied');
+            }
+
+            let baseBeta = null;
+
+            handler = (e) => {
+                if (e.beta === null || e.gamma === null) return;
+                if (baseBeta === null) baseBeta = e.beta;
+
+                onPose({
+                    x: clamp(e.gamma / range, -1, 1),
+                    y: clamp((e.beta - baseBeta) / range, -1, 1),
+                    distance: null,
+                    timestamp: performance.now()
+                });
+            };
+            window.addEventListener('deviceorientation', handler);
+        },
+
+        stop() {
+            if (handler) window.removeEventListener('deviceorientation', handler);
+            handler = null;
+        }
+    };
+}
+
+/**
+ * Replay of a recorded session (see session.js), looped
+ * frames: [{ t (ms from start), x, y, distance }] or [{ t, detections }]
+ * Detection frames are turned into poses by toPose, like live face results.
+ * Besides start/stop the player supports play/pause/seek.
+ */
+export function createReplayTracker({ frames, toPose = null, onTimeUpdate = null }) {
+    const duration = frames && frames.length ? frames[frames.length - 1].t : 0;
+    let emit = null;
+    let rafId = null;
+    let playing = false;
+    let time = 0;          // Playback position in ms
+    let lastTick = 0;
+    let index = 0;         // Next frame to emit
+
+    const emitFrame = (frame) => {
+        if (frame.detections) {
+            const pose = toPose ? toPose({ detections: frame.detections }) : null;
+            if (pose) emit(pose);
+            return;
+        }
+        emit({
+            x: frame.x,
+            y: frame.y,
+            distance: frame.distance ?? null,
+            timestamp: performance.now()
+        });
+    };
+
+    const tick = () => {
+        const now = performance.now();
+        if (playing) {
+            time += now - lastTick;
+            if (time > duration) {
+                // Loop
+                time = duration > 0 ? time % duration : 0;
+                index = 0;
+            }
+            while (index < frames.length && frames[index].t <= time) {
+                emitFrame(frames[index++]);
+            }
+            if (onTimeUpdate) onTimeUpdate(time, duration);
+        }
+        lastTick = now;
+        rafId = requestAnimationFrame(tick);
+    };
+
+    return {
+        name: 'replay',
+        reportsLoss: true,
+        duration,
+
+        async start(onPose) {
+            if (!frames || frames.length === 0) throw new Error('Replay has no frames');
+            emit = onPose;
+            playing = true;
+            lastTick = performance.now();
+            tick();
+        },
+
+        stop() {
+            if (rafId !== null) cancelAnimationFrame(rafId);
+            rafId = null;
+            playing = false;
+        },
+
+        play() {
+            playing = true;
+        },
+
+        pause() {
+            playing = false;
+        },
+
+        isPlaying() {
+            return playing;
+        },
+
+        /**
+         * Jump to a position (ms) and show the frame at that time
+         */
+        seek(ms) {
+            time = Math.max(0, Math.min(duration, ms));
+            index = 0;
+            while (index < frames.length && frames[index].t <= time) index++;
+            if (emit && index > 0) emitFrame(frames[index - 1]);
+            if (onTimeUpdate) onTimeUpdate(time, duration);
+        }
+    };
+}
@@ -0,0 +1,117 @@
+/**
+ * Tracking Math
+ * The pure parts of the head-tracking pipeline (no DOM, no WebGL, no three),
+ * so they can be unit tested in Node: face box -> normalized head position,
+ * face size -> distance, head -> eye position, eye -> off-axis frustum.
+ *
+ * Axis conventions (see tests/tracking-math.test.js):
+ *   head x/y   -1..1, camera image coordinates (x right, y down in the image);
+ *              the webcam image is mirrored, so image right = viewer's left
+ *   eye x/y/z  world units relative to the window center, z = distance in
+ *              front of the window plane
+ */
+
+/**
+ * Face bounding box (normalized image coordinates) -> head position in -1..1
+ */
+export function bboxToHead(bbox) {
+    return {
+        x: (bbox.xCenter - 0.5) * 2,
+        y: (bbox.yCenter - 0.5) * 2
+    };
+}
+
+/**
+ * Viewer distance (cm) from the apparent face width
+ * Pinhole model: distance = real width * focal length / image width,
+ * with the focal length expressed in image widths via the camera FOV.
+ * Returns null for an empty box.
+ */
+export function estimateDistance(faceWidthNormalized, { faceWidth, fov, min, max }) {
+    if (!(faceWidthNormalized > 0)) return null;
+
+    const focalLength = 0.5 / Math.tan(fov * Math.PI / 360);
+    const distance = faceWidth * focalLength / faceWidthNormalized;
+
+    return Math.min(max, Math.max(min, distance));
+}
+
+/**
+ * Eye position without screen calibration
+ * The head offset is scaled to the window size by the parallax strength,
+ * the viewer distance scales the eye distance linearly
+ * (referenceDistance cm -> eyeDistance world units).
+ */
+export function eyeFromHead(head, { halfWidth, halfHeight, strength, referenceDistance, eyeDistance }) {
+    return {
+        x: -head.x * halfWidth * strength,
+        y: head.y * halfHeight * strength,
+        z: eyeDistance * head.distance / referenceDistance
+    };
+}
+
+/**
+ * Eye position with screen calibration (true scale)
+ * Back-projects the face center through the camera at the viewer distance,
+ * then shifts from the camera origin to the screen center.
+ * videoAspect = video height / width.
+ */
+export function eyeFromHeadCalibrated(head, { calibration, fov, videoAspect, unitsPerCm }) {
+    const tanHalfFov = Math.tan(fov * Math.PI / 360);
+
+    const xCm = -head.x * head.distance * tanHalfFov + calibration.cameraOffsetX;
+    const yCm = head.y * head.distance * tanHalfFov * videoAspect - calibration.cameraOffsetY;
+
+    return {
+        x: xCm * unitsPerCm,
+        y: yCm * unitsPerCm,
+        z: head.distance * unitsPerCm
+    };
+}
+
+/**
+ * Off-axis frustum through the window from an eye position
+ * The window edges (±halfWidth, ±halfHeight at z = 0) are projected onto
+ * the near plane; returns the makePerspective() bounds.
+ */
+export function offAxisFrustum({ halfWidth, halfHeight }, eye, near) {
+    const nearOverDist = near / eye.z;
+    return {
+        left: (-halfWidth - eye.x) * nearOverDist,
+        right: (halfWidth - eye.x) * nearOverDist,
+        bottom: (-halfHeight - eye.y) * nearOverDist,
+        top: (halfHeight - eye.y) * nearOverDist
+    };
+}
+
+/**
+ * Near / far planes fitted to the content
+ * front: largest z of the content (in front of the window when > 0)
+ */
+export function fitClipPlanes(eyeDistance, front, depth, { minNear = 0.01, margin = 0.9 } = {}) {
+    return {
+        near: Math.max(minNear, (eyeDistance - front) * margin),
+        far: eyeDistance + depth * 1.1
+    };
+}
+
+/**
+ * Where a filtered axis is expected horizonMs after its last sample
+ * (look-ahead along the filter velocity, compensates the latency)
+ */
+export function predictAxis(filter, value, horizonMs) {
+    return value + filter.velocity() * horizonMs / 1000;
+}
+
+/**
+ * Ease between two poses (smoothstep), k = 0..1 progress
+ */
+export function blendPose(from, to, k) {
+    const t = Math.min(1, Math.max(0, k));
+    const ease = t * t * (3 - 2 * t);
+    return {
+        x: from.x + (to.x - from.x) * ease,
+        y: from.y + (to.y - from.y) * ease,
+        z: from.z + (to.z - from.z) * ease
+    };
+}
@@ -0,0 +1,194 @@
+/**
+ * Video Layer
+ * Shows a live video (webcam or uploaded file) inside the box: on the back
+ * wall, on all walls, or as a faint mirrored "reflection" on the window
+ * glass. The meshes live in the rotated world group, so the video textures
+ * are turned by 180° to appear upright.
+ */
+
+import * as THREE from 'three';
+
+const WALL_INSET = 0.01;   // Keep the video just inside the box walls (no z-fighting)
+const GLASS_Z = 0.01;      // Reflection sits on the window, behind the frame (0.02)
+
+/**
+ * Create the layer; the video source is chosen with useWebcam() / useFile()
+ */
+export function createVideoLayer() {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.loop = true;
+    video.playsInline = true;
+
+    let stream = null;
+    let objectUrl = null;
+
+    // Plain textures (not VideoTexture, which runs one frame loop per clone):
+    // all surface maps share the video and are refreshed by a single loop.
+    const baseTexture = new THREE.Texture(video);
+    baseTexture.colorSpace = THREE.SRGBColorSpace;
+    baseTexture.minFilter = THREE.LinearFilter;
+    baseTexture.generateMipmaps = false;
+    const surfaceMaps = new Set();
+    let frameRequest = null; // { id, video: true = requestVideoFrameCallback, false = rAF }
+
+    const onFrame = () => {
+        surfaceMaps.forEach((map) => { map.needsUpdate = true; });
+        requestFrame();
+    };
+
+    const requestFrame = () => {
+        frameRequest = 'requestVideoFrameCallback' in video
+            ? { id: video.requestVideoFrameCallback(onFrame), video: true }
+            : { id: requestAnimationFrame(onFrame), video: false };
+    };
+
+    const stopFrames = () => {
+        if (!frameRequest) return;
+        if (frameRequest.video) video.cancelVideoFrameCallback(frameRequest.id);
+        else cancelAnimationFrame(frameRequest.id);
+        frameRequest = null;
+    };
+
+    const releaseSource = () => {
+        stopFrames();
+        video.pause();
+        if (stream) stream.getTracks().forEach(track => track.stop());
+        if (objectUrl) URL.revokeObjectURL(objectUrl);
+        video.srcObject = null;
+        video.removeAttribute('src');
+        stream = objectUrl = null;
+    };
+
+    const ready = async () => {
+        await video.play();
+        if (!frameRequest) requestFrame();
+    };
+
+    /**
+     * Video texture for a surface of the given size
+     * Long walls repeat the video instead of stretching it.
+     */
+    const surfaceTexture = (width, height, mirrored) => {
+        const map = baseTexture.clone(); // Shares the video source
+        surfaceMaps.add(map);
+        const videoAspect = video.videoWidth && video.videoHeight ? video.videoWidth / video.videoHeight : 16 / 9;
+        const tiles = Math.max(1, Math.round(width / (height * videoAspect)));
+
+        map.wrapS = map.wrapT = THREE.RepeatWrapping;
+        map.center.set(0.5, 0.5);
+        map.rotation = Math.PI; // Undo the world group flip
+        map.repeat.set(mirrored ? -tiles : tiles, 1);
+        return map;
+    };
+
+    return {
+        video,
+
+        hasSource() {
+            return stream !== null || objectUrl !== null;
+        },
+
+        /**
+         * Stop / continue a video file while the layer is hidden
+         */
+        pause() {
+            stopFrames();
+            video.pause();
+        },
+
+        async resume() {
+            if (this.hasSource()) await ready();
+        },
+
+        /**
+         * Own webcam stream (independent of the face tracker)
+         */
+        async useWebcam(deviceId = '') {
+            releaseSource();
+            stream = await navigator.mediaDevices.getUserMedia({
+                video: deviceId ? { deviceId: { exact: deviceId } } : { facingMode: 'user' }
+            });
+            video.srcObject = stream;
+            await ready();
+        },
+
+        /**
+         * Uploaded video file, looped and muted
+         */
+        async useFile(file) {
+            releaseSource();
+            objectUrl = URL.createObjectURL(file);
+            video.src = objectUrl;
+            await ready();
+        },
+
+        /**
+         * Build the meshes for a mode ('back' | 'walls' | 'reflection')
+         * box: { halfWidth, halfHeight, depth }. The webcam is mirrored like a real mirror.
+         */
+        build(mode, { halfWidth, halfHeight, depth }, { opacity = 1.0, mirrored = false } = {}) {
+            const group = new THREE.Group();
+            group.name = 'video-layer';
+            if (!this.hasSource() || mode === 'off') return group;
+
+            const addSurface = (width, height, position, rotation, materialOptions = {}) => {
+                const material = new THREE.MeshBasicMaterial({
+                    map: surfaceTexture(width, height, mirrored),
+                    side: THREE.DoubleSide,
+                    transparent: opacity < 1,
+                    opacity,
+                    fog: false, // The back wall would disappear in the fog
+                    ...materialOptions
+                });
+                const mesh = new THREE.Mesh(new THREE.PlaneGeometry(width, height), material);
+                mesh.position.set(...position);
+                mesh.rotation.set(...rotation);
+                group.add(mesh);
+                return mesh;
+            };
+
+            if (mode === 'reflection') {
+                // Faint mirror image on the glass, added on top of the scene behind it
+                const glass = addSurface(halfWidth * 2, halfHeight * 2, [0, 0, GLASS_Z], [0, 0, 0], {
+                    transparent: true,
+                    blending: THREE.AdditiveBlending,
+                    depthWrite: false
+                });
+                glass.renderOrder = 998; // Just before an occluding frame (999)
+                return group;
+            }
+
+            addSurface(halfWidth * 2, halfHeight * 2, [0, 0, -depth + WALL_INSET], [0, 0, 0]);
+
+            if (mode === 'walls') {
+                const x = halfWidth - WALL_INSET;
+                const y = halfHeight - WALL_INSET;
+                addSurface(depth, halfHeight * 2, [-x, 0, -depth / 2], [0, Math.PI / 2, 0]);
+                addSurface(depth, halfHeight * 2, [x, 0, -depth / 2], [0, -Math.PI / 2, 0]);
+                addSurface(halfWidth * 2, depth, [0, y, -depth / 2], [Math.PI / 2, 0, 0]);
+                addSurface(halfWidth * 2, depth, [0, -y, -depth / 2], [-Math.PI / 2, 0, 0]);
+            }
+
+            return group;
+        },
+
+        /**
+         * Free a group returned by build()
+         */
+        disposeGroup(group) {
+            group.traverse((child) => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) {
+                    surfaceMaps.delete(child.material.map);
+                    child.material.map.dispose();
+                    child.material.dispose();
+                }
+            });
+        },
+
+        dispose() {
+            releaseSource();
+        }
+    };
+}
@@ -0,0 +1,287 @@
+/**
+ * Visitor Counter - Reference Server
+ * Minimal Node backend for js/counter.js (no dependencies).
+ *
+ *   GET  /api/counter?key=<page>          -> { success: true, count }
+ *   GET  /api/counter?key=<page>&hit=1    -> increments, same response
+ *   POST /api/counter?key=<page>          body { events: [...] } -> { success: true, accepted }
+ *   GET  /api/counter?key=<page>&stats=1  -> { success: true, stats }
+ *
+ * Events are anonymous and only aggregated (no IDs, IPs or timestamps are stored):
+ *   { type: 'visit', returning }          { type: 'session', seconds }
+ *   { type: 'camera', granted }           { type: 'model', name }
+ *   { type: 'tracking', seconds, uptime }   uptime = tracked share 0..1
+ *
+ * Counts and stats are kept per key in a JSON file. Run with:
+ *   node server/counter-server.mjs
+ * Environment: PORT (default 8787), COUNTER_DATA (default server/counter-data.json),
+ * COUNTER_ORIGIN (CORS origin, default *)
+ */
+
+import { createServer } from 'node:http';
+import { readFile, writeFile, rename } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const KEY_PATTERN = /^[\w.-]{1,64}$/;
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_EVENTS_PER_BATCH = 200;
+const MAX_MODELS = 100;             // Distinct model names kept per key
+const MAX_SESSION_SECONDS = 24 * 3600;
+
+// Keys and model names come from clients: keep them off Object.prototype
+const dict = () => Object.create(null);
+
+const number = (value, max) => (typeof value === 'number' && value >= 0 && value <= max ? value : null);
+
+function emptyStats() {
+    return {
+        visits: { total: 0, returning: 0 },
+        sessions: { count: 0, seconds: 0 },
+        camera: { granted: 0, denied: 0 },
+        models: dict(),
+        tracking: { count: 0, seconds: 0, uptime: 0 }
+    };
+}
+
+/**
+ * Add one event to the aggregate stats; returns false for invalid events
+ */
+export function applyEvent(stats, event) {
+    if (!event || typeof event !== 'object') return false;
+
+    switch (event.type) {
+        case 'visit':
+            stats.visits.total++;
+            if (event.returning === true) stats.visits.returning++;
+            return true;
+
+        case 'session': {
+            const seconds = number(event.seconds, MAX_SESSION_SECONDS);
+            if (seconds === null) return false;
+            stats.sessions.count++;
+            stats.sessions.seconds += seconds;
+            return true;
+        }
+
+        case 'camera':
+            if (typeof event.granted !== 'boolean') return false;
+            stats.camera[event.granted ? 'granted' : 'denied']++;
+            return true;
+
+        case 'model': {
+            if (typeof event.name !== 'string' || !event.name) return false;
+            const name = event.name.slice(0, 64);
+            const known = Object.hasOwn(stats.models, name);
+            if (!known && Object.keys(stats.models).length >= MAX_MODELS) return false;
+            stats.models[name] = (known ? stats.models[name] : 0) + 1;
+            return true;
+        }
+
+        case 'tracking': {
+            const seconds = number(event.seconds, MAX_SESSION_SECONDS);
+            const uptime = number(event.uptime, 1);
+            if (seconds === null || uptime === null) return false;
+            stats.tracking.count++;
+            stats.tracking.seconds += seconds;
+            stats.tracking.uptime += uptime;
+            return true;
+        }
+
+        default:
+            return false;
+    }
+}
+
+/**
+ * Stats with averages for reading
+ */
+export function summarizeStats(stats) {
+    const average = (sum, count) => (count > 0 ? sum / count : 0);
+    return {
+        ...stats,
+        averageSessionSeconds: average(stats.sessions.seconds, stats.sessions.count),
+        averageTrackingUptime: average(stats.tracking.uptime, stats.tracking.count)
+    };
+}
+
+/**
+ * File-backed counter store; writes are serialized and atomic (temp file + rename)
+ */
+export function createCounterStore(dataFile) {
+    let data = null; // { counts: { key: n }, stats: { key: {...} } }, null-prototype maps
+    let queue = Promise.resolve();
+
+    const load = async () => {
+        if (data) return data;
+        data = { counts: dict(), stats: dict() };
+        try {
+            const saved = JSON.parse(await readFile(dataFile, 'utf8'));
+            // First version stored only { key: count }
+            const { counts, stats = {} } = saved.counts ? saved : { counts: saved };
+            for (const key of Object.keys(counts)) {
+                if (KEY_PATTERN.test(key) && typeof counts[key] === 'number') data.counts[key] = counts[key];
+            }
+            for (const key of Object.keys(stats)) {
+                if (!KEY_PATTERN.test(key)) continue;
+                const models = Object.assign(dict(), stats[key].models);
+                data.stats[key] = { ...emptyStats(), ...stats[key], models };
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.warn('Counter: Could not read data file, starting empty', error);
+        }
+        return data;
+    };
+
+    const countOf = key => (Object.hasOwn(data.counts, key) ? data.counts[key] : 0);
+
+    const save = async () => {
+        const tmp = dataFile + '.tmp';
+        await writeFile(tmp, JSON.stringify(data, null, 2));
+        await rename(tmp, dataFile);
+    };
+
+    // Run store operations one after another
+    const enqueue = (operation) => {
+        const result = queue.then(async () => {
+            await load();
+            return operation();
+        });
+        queue = result.catch(() => {});
+        return result;
+    };
+
+    return {
+        /**
+         * Current count of a key, +1 first when hit
+         */
+        count(key, hit = false) {
+            return enqueue(async () => {
+                if (hit) {
+                    data.counts[key] = countOf(key) + 1;
+                    await save();
+                }
+                return countOf(key);
+            });
+        },
+
+        /**
+         * Aggregate a batch of events; returns how many were valid
+         */
+        addEvents(key, events) {
+            return enqueue(async () => {
+                if (!Object.hasOwn(data.stats, key)) data.stats[key] = emptyStats();
+                const stats = data.stats[key];
+                const accepted = events.filter(event => applyEvent(stats, event)).length;
+                if (accepted > 0) await save();
+                return accepted;
+            });
+        },
+
+        stats(key) {
+            return enqueue(() => summarizeStats(Object.hasOwn(data.stats, key) ? data.stats[key] : emptyStats()));
+        }
+    };
+}
+
+/**
+ * HTTP server speaking the counter protocol on /api/counter
+ */
+export function createCounterServer({ dataFile, origin = '*' }) {
+    const store = createCounterStore(dataFile);
+
+    return createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const send = (status, body, headers = {}) => {
+            res.writeHead(status, {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': origin,
+                'Cache-Control': 'no-store',
+                ...headers
+            });
+            res.end(JSON.stringify(body));
+        };
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                'Access-Control-Allow-Origin': origin,
+                'Access-Control-Allow-Methods': 'GET, POST',
+                'Access-Control-Allow-Headers': 'Content-Type'
+            });
+            return res.end();
+        }
+        if (!['GET', 'POST'].includes(req.method) || url.pathname !== '/api/counter') {
+            return send(404, { success: false, error: 'Not found' });
+        }
+
+        const key = url.searchParams.get('key') || 'default';
+        if (!KEY_PATTERN.test(key)) return send(400, { success: false, error: 'Invalid key' });
+
+        try {
+            if (req.method === 'POST') {
+                // Sent with sendBeacon as text/plain (no CORS preflight)
+                const body = await readBody(req);
+                let events;
+                try {
+                    events = JSON.parse(body).events;
+                } catch (error) {
+                    events = null;
+                }
+                if (!Array.isArray(events)) return send(400, { success: false, error: 'Invalid events' });
+
+                const accepted = await store.addEvents(key, events.slice(0, MAX_EVENTS_PER_BATCH));
+                return send(200, { success: true, accepted });
+            }
+
+            if (url.searchParams.get('stats') === '1') {
+                return send(200, { success: true, stats: await store.stats(key) });
+            }
+
+            const count = await store.count(key, url.searchParams.get('hit') === '1');
+            send(200, { success: true, count });
+        } catch (error) {
+            if (error.status === 413) {
+                // Answer first, then drop the connection (the rest of the body is discarded)
+                res.on('finish', () => req.destroy());
+                return send(413, { success: false, error: 'Too large' }, { Connection: 'close' });
+            }
+            console.error('Counter: Storage error', error);
+            send(500, { success: false, error: 'Storage error' });
+        }
+    });
+}
+
+/**
+ * Request body as text, limited to MAX_BODY_BYTES
+ * A larger body is rejected with status 413 and the rest is read and thrown
+ * away, so the socket stays usable for the response.
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        const onData = (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                req.off('data', onData);
+                req.resume();
+                reject(Object.assign(new Error('Body too large'), { status: 413 }));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        req.on('data', onData);
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+// Started directly (not imported by the tests)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const port = parseInt(process.env.PORT, 10) || 8787;
+    const dataFile = process.env.COUNTER_DATA
+        || path.join(path.dirname(fileURLToPath(import.meta.url)), 'counter-data.json');
+
+    createCounterServer({ dataFile, origin: process.env.COUNTER_ORIGIN || '*' })
+        .listen(port, () => console.log(`Counter server on http://localhost:${port}/api/counter (data: ${dataFile})`));
+}
@@ -0,0 +1,183 @@
+/**
+ * Counter reference server tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { createCounterServer, createCounterStore, applyEvent } from '../server/counter-server.mjs';
+
+async function withServer(run) {
+    const dir = await mkdtemp(path.join(tmpdir(), 'counter-'));
+    const dataFile = path.join(dir, 'counts.json');
+    const server = createCounterServer({ dataFile });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const get = async (query) => {
+        const response = await fetch(`${base}/api/counter${query}`);
+        return { status: response.status, body: await response.json() };
+    };
+    const post = async (query, body) => {
+        const response = await fetch(`${base}/api/counter${query}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    try {
+        await run({ get, post, dataFile });
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+        await rm(dir, { recursive: true, force: true });
+    }
+}
+
+test('hit=1 increments, a plain request only reads', async () => {
+    await withServer(async ({ get }) => {
+        assert.deepEqual((await get('?key=home')).body, { success: true, count: 0 });
+        assert.deepEqual((await get('?key=home&hit=1')).body, { success: true, count: 1 });
+        assert.deepEqual((await get('?key=home&hit=1')).body, { success: true, count: 2 });
+        assert.deepEqual((await get('?key=home')).body, { success: true, count: 2 });
+    });
+});
+
+test('keys count separately and are persisted to the data file', async () => {
+    await withServer(async ({ get, dataFile }) => {
+        await get('?key=a&hit=1');
+        await get('?key=a&hit=1');
+        await get('?key=b&hit=1');
+
+        assert.deepEqual(JSON.parse(await readFile(dataFile, 'utf8')).counts, { a: 2, b: 1 });
+
+        // A new store picks up the saved counts
+        assert.equal(await createCounterStore(dataFile).count('a'), 2);
+    });
+});
+
+test('concurrent hits are not lost', async () => {
+    await withServer(async ({ get }) => {
+        await Promise.all(Array.from({ length: 20 }, () => get('?key=busy&hit=1')));
+        assert.equal((await get('?key=busy')).body.count, 20);
+    });
+});
+
+test('event batches are aggregated per key', async () => {
+    await withServer(async ({ get, post }) => {
+        const events = [
+            { type: 'visit', returning: false },
+            { type: 'visit', returning: true },
+            { type: 'session', seconds: 30 },
+            { type: 'session', seconds: 90 },
+            { type: 'camera', granted: true },
+            { type: 'camera', granted: false },
+            { type: 'model', name: 'splash.glb' },
+            { type: 'model', name: 'splash.glb' },
+            { type: 'tracking', seconds: 60, uptime: 0.5 },
+            { type: 'tracking', seconds: 60, uptime: 1 }
+        ];
+        assert.deepEqual((await post('?key=demo', { events })).body, { success: true, accepted: 10 });
+
+        const { stats } = (await get('?key=demo&stats=1')).body;
+        assert.deepEqual(stats.visits, { total: 2, returning: 1 });
+        assert.deepEqual(stats.camera, { granted: 1, denied: 1 });
+        assert.deepEqual(stats.models, { 'splash.glb': 2 });
+        assert.equal(stats.averageSessionSeconds, 60);
+        assert.equal(stats.averageTrackingUptime, 0.75);
+
+        // Other keys are untouched
+        assert.deepEqual((await get('?key=other&stats=1')).body.stats.visits, { total: 0, returning: 0 });
+    });
+});
+
+test('invalid events are skipped, invalid batches rejected', async () => {
+    await withServer(async ({ post }) => {
+        const events = [
+            { type: 'session', seconds: -5 },
+            { type: 'tracking', seconds: 10, uptime: 3 },
+            { type: 'unknown' },
+            null,
+            { type: 'camera', granted: true }
+        ];
+        assert.equal((await post('?key=demo', { events })).body.accepted, 1);
+        assert.equal((await post('?key=demo', { nope: true })).status, 400);
+    });
+});
+
+test('the first data file format (counts only) is migrated', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'counter-'));
+    const dataFile = path.join(dir, 'counts.json');
+    try {
+        await writeFile(dataFile, JSON.stringify({ home: 41 }));
+        const store = createCounterStore(dataFile);
+        assert.equal(await store.count('home', true), 42);
+        assert.deepEqual(JSON.parse(await readFile(dataFile, 'utf8')).counts, { home: 42 });
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('invalid keys are rejected', async () => {
+    await withServer(async ({ get }) => {
+        const invalid = await get('?key=../etc');
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.success, false);
+    });
+});
+
+test('keys named like Object.prototype members count like any other key', async () => {
+    await withServer(async ({ get, post, dataFile }) => {
+        assert.deepEqual((await get('?key=constructor')).body, { success: true, count: 0 });
+        assert.deepEqual((await get('?key=constructor&hit=1')).body, { success: true, count: 1 });
+        assert.deepEqual((await get('?key=toString&hit=1')).body, { success: true, count: 1 });
+        assert.deepEqual((await get('?key=__proto__&hit=1')).body, { success: true, count: 1 });
+
+        const visit = { events: [{ type: 'visit', returning: false }] };
+        assert.deepEqual((await post('?key=__proto__', visit)).body, { success: true, accepted: 1 });
+        assert.equal((await get('?key=__proto__&stats=1')).body.stats.visits.total, 1);
+
+        // Saved as plain keys and read back the same way
+        const saved = JSON.parse(await readFile(dataFile, 'utf8'));
+        assert.equal(Object.getOwnPropertyDescriptor(saved.counts, 'constructor').value, 1);
+        assert.equal(await createCounterStore(dataFile).count('__proto__'), 1);
+    });
+});
+
+test('a too large body is answered with 413', async () => {
+    await withServer(async ({ post }) => {
+        const events = Array.from({ length: 2000 }, () => ({ type: 'model', name: 'x'.repeat(60) }));
+        const response = await post('?key=demo', { events });
+        assert.equal(response.status, 413);
+        assert.equal(response.body.success, false);
+    });
+});
+
+test('model names like Object.prototype members are counted, not inherited', async () => {
+    await withServer(async ({ get, post }) => {
+        const events = [
+            { type: 'model', name: 'constructor' },
+            { type: 'model', name: 'constructor' },
+            { type: 'model', name: '__proto__' }
+        ];
+        assert.deepEqual((await post('?key=demo', { events })).body, { success: true, accepted: 3 });
+
+        const { models } = (await get('?key=demo&stats=1')).body.stats;
+        assert.equal(models.constructor, 2);
+        assert.equal(Object.getOwnPropertyDescriptor(models, '__proto__').value, 1);
+    });
+});
+
+test('inherited names do not get past the model name cap', () => {
+    const stats = { models: Object.create(null) };
+    for (let i = 0; i < 100; i++) applyEvent(stats, { type: 'model', name: 'model' + i });
+
+    assert.equal(applyEvent(stats, { type: 'model', name: 'constructor' }), false);
+    assert.equal(applyEvent(stats, { type: 'model', name: 'model0' }), true);
+    assert.equal(stats.models.model0, 2);
+});
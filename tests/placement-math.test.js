@@ -0,0 +1,58 @@
+/**
+ * Placement math tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { fitScale, lowestPointBelowPivot } from '../js/placement-math.js';
+
+const BOX = { halfWidth: 3.5, halfHeight: 2, depth: 100 };
+const NO_ROTATION = { x: 0, y: 0, z: 0 };
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, message || `${actual} != ${expected}`);
+
+test('fitScale fixed: the largest side becomes fixedSize', () => {
+    close(fitScale({ x: 3, y: 1, z: 2 }), 0.5);
+    close(fitScale({ x: 3, y: 1, z: 2 }, { fixedSize: 6 }), 2);
+    // Empty model: keep its own scale
+    assert.equal(fitScale({ x: 0, y: 0, z: 0 }), 1);
+});
+
+test('fitScale window: the model fills the fraction of the tighter window side', () => {
+    // Height limits: 0.5 * 4 / 2
+    close(fitScale({ x: 1, y: 2, z: 1 }, { fit: 'window', fraction: 0.5, container: BOX }), 1);
+    // Width limits, the deeper horizontal side counts (spin): 0.5 * 7 / 7
+    close(fitScale({ x: 1, y: 0.1, z: 7 }, { fit: 'window', fraction: 0.5, container: BOX }), 0.5);
+});
+
+test('fitScale depth: the model depth becomes the fraction of the box depth', () => {
+    close(fitScale({ x: 1, y: 1, z: 10 }, { fit: 'depth', fraction: 0.25, container: BOX }), 2.5);
+});
+
+test('fitScale falls back to fixed without a container or for flat models', () => {
+    close(fitScale({ x: 3, y: 1, z: 2 }, { fit: 'window', fraction: 0.5 }), 0.5);
+    close(fitScale({ x: 3, y: 1, z: 0 }, { fit: 'depth', fraction: 0.5, container: BOX }), 0.5);
+});
+
+test('lowestPointBelowPivot without rotation: center offset plus half height, scaled', () => {
+    const half = { x: 1, y: 0.5, z: 2 };
+    close(lowestPointBelowPivot({ x: 0, y: 0, z: 0 }, half, NO_ROTATION, 1), 0.5);
+    close(lowestPointBelowPivot({ x: 0, y: 0.25, z: 0 }, half, NO_ROTATION, 2), 1.5);
+    // Pivot at the bottom of the model: nothing below it
+    close(lowestPointBelowPivot({ x: 0, y: -0.5, z: 0 }, half, NO_ROTATION, 1), 0);
+});
+
+test('lowestPointBelowPivot follows the rotation', () => {
+    const half = { x: 2, y: 0.5, z: 1 };
+    // 90° around Z: the long x side now points along y
+    close(lowestPointBelowPivot({ x: 0, y: 0, z: 0 }, half, { x: 0, y: 0, z: Math.PI / 2 }, 1), 2);
+    // 90° around X: the z side points along y
+    close(lowestPointBelowPivot({ x: 0, y: 0, z: 0 }, half, { x: Math.PI / 2, y: 0, z: 0 }, 1), 1);
+    // Spin around Y keeps the height
+    close(lowestPointBelowPivot({ x: 0, y: 0, z: 0 }, half, { x: 0, y: 1.2, z: 0 }, 1), 0.5);
+    // An off-center box swings with the rotation: +x becomes +y after 90° around Z
+    close(lowestPointBelowPivot({ x: 1, y: 0, z: 0 }, { x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: Math.PI / 2 }, 1), 1);
+    // 45° around Z: the corners reach furthest
+    close(lowestPointBelowPivot({ x: 0, y: 0, z: 0 }, { x: 1, y: 1, z: 1 }, { x: 0, y: 0, z: Math.PI / 4 }, 1), Math.SQRT2);
+});
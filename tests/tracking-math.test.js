@@ -0,0 +1,158 @@
+/**
+ * Tracking math tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    bboxToHead, estimateDistance, eyeFromHead, eyeFromHeadCalibrated,
+    offAxisFrustum, fitClipPlanes, predictAxis, blendPose
+} from '../js/tracking-math.js';
+import { createFilter } from '../js/filters.js';
+
+const WINDOW = { halfWidth: 3.5, halfHeight: 2 };
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, message || `${actual} != ${expected}`);
+
+test('bboxToHead maps the image center to 0 and the edges to ±1', () => {
+    assert.deepEqual(bboxToHead({ xCenter: 0.5, yCenter: 0.5 }), { x: 0, y: 0 });
+    assert.deepEqual(bboxToHead({ xCenter: 0, yCenter: 1 }), { x: -1, y: 1 });
+    assert.deepEqual(bboxToHead({ xCenter: 1, yCenter: 0 }), { x: 1, y: -1 });
+});
+
+test('estimateDistance follows the pinhole model and clamps', () => {
+    const options = { faceWidth: 15, fov: 90, min: 20, max: 300 };
+    // 90° FOV: focal length = 0.5 image widths
+    close(estimateDistance(0.125, options), 60);
+    // Twice the apparent size = half the distance
+    close(estimateDistance(0.25, options), 30);
+    assert.equal(estimateDistance(0.9, options), 20);
+    assert.equal(estimateDistance(0.001, options), 300);
+    assert.equal(estimateDistance(0, options), null);
+});
+
+test('eyeFromHead mirrors x, keeps y and scales the distance', () => {
+    const options = { ...WINDOW, strength: 1, referenceDistance: 60, eyeDistance: 5 };
+
+    // Face on the right of the (mirrored) image = viewer moved left
+    const eye = eyeFromHead({ x: 1, y: 0.5, distance: 60 }, options);
+    close(eye.x, -WINDOW.halfWidth);
+    close(eye.y, 0.5 * WINDOW.halfHeight);
+    close(eye.z, 5);
+
+    // Leaning in halves the eye distance
+    close(eyeFromHead({ x: 0, y: 0, distance: 30 }, options).z, 2.5);
+
+    // Strength scales only the lateral offset
+    const weak = eyeFromHead({ x: 1, y: 1, distance: 60 }, { ...options, strength: 0.5 });
+    close(weak.x, -WINDOW.halfWidth / 2);
+    close(weak.y, WINDOW.halfHeight / 2);
+    close(weak.z, 5);
+});
+
+test('eyeFromHeadCalibrated back-projects at true scale and applies the camera offset', () => {
+    const calibration = { screenWidth: 60, screenHeight: 34, cameraOffsetX: 0, cameraOffsetY: 19 };
+    const options = { calibration, fov: 90, videoAspect: 0.75, unitsPerCm: 0.1 };
+
+    // Centered face: eye straight in front of the camera, i.e. above the screen center
+    const centered = eyeFromHeadCalibrated({ x: 0, y: 0, distance: 50 }, options);
+    close(centered.x, 0);
+    close(centered.y, -1.9);
+    close(centered.z, 5);
+
+    // 90° FOV: image edge is as far to the side as the viewer is away
+    const side = eyeFromHeadCalibrated({ x: 1, y: 0, distance: 50 }, options);
+    close(side.x, -5);
+});
+
+test('offAxisFrustum is symmetric for a centered eye', () => {
+    const f = offAxisFrustum(WINDOW, { x: 0, y: 0, z: 5 }, 0.1);
+    close(f.left, -f.right);
+    close(f.bottom, -f.top);
+    close(f.right, WINDOW.halfWidth * 0.1 / 5);
+    close(f.top, WINDOW.halfHeight * 0.1 / 5);
+});
+
+test('offAxisFrustum keeps the window edges fixed for any eye position', () => {
+    const near = 0.1;
+    for (const eye of [{ x: 1.5, y: -0.7, z: 5 }, { x: -3, y: 2, z: 2 }, { x: 0.2, y: 0.1, z: 12 }]) {
+        const f = offAxisFrustum(WINDOW, eye, near);
+        // Rays from the eye through the frustum corners hit the window plane (z = 0) at its edges
+        const toWindow = eye.z / near;
+        close(eye.x + f.left * toWindow, -WINDOW.halfWidth);
+        close(eye.x + f.right * toWindow, WINDOW.halfWidth);
+        close(eye.y + f.bottom * toWindow, -WINDOW.halfHeight);
+        close(eye.y + f.top * toWindow, WINDOW.halfHeight);
+    }
+});
+
+test('offAxisFrustum shifts opposite to the eye', () => {
+    const f = offAxisFrustum(WINDOW, { x: 1, y: 1, z: 5 }, 0.1);
+    // Eye moved right/up: more of the window lies to the left/below
+    assert.ok(-f.left > f.right);
+    assert.ok(-f.bottom > f.top);
+});
+
+test('fitClipPlanes keeps pop-out content in front of the near plane', () => {
+    const { near, far } = fitClipPlanes(5, 2, 100);
+    assert.ok(near < 5 - 2);
+    assert.ok(near > 0);
+    assert.ok(far > 5 + 100);
+
+    // Content at or behind the eye: clamp to the minimum
+    assert.equal(fitClipPlanes(5, 6, 100, { minNear: 0.01 }).near, 0.01);
+});
+
+for (const type of ['lerp', 'oneeuro', 'kalman']) {
+    test(`${type} filter converges to a constant input`, () => {
+        const filter = createFilter(type, { amount: 0.15, minCutoff: 1, beta: 0.3, processNoise: 50, measurementNoise: 0.05 });
+        filter.filter(0, 0);
+
+        let value = 0;
+        for (let t = 16; t <= 5000; t += 16) value = filter.filter(1, t);
+
+        assert.ok(Math.abs(value - 1) < 1e-3, `${type}: ${value}`);
+        assert.ok(Math.abs(filter.velocity()) < 1e-2, `${type} velocity: ${filter.velocity()}`);
+    });
+
+    test(`${type} filter is frame-rate independent`, () => {
+        const run = (stepMs) => {
+            const filter = createFilter(type, { amount: 0.15, minCutoff: 1, beta: 0.3, processNoise: 50, measurementNoise: 0.05 });
+            filter.filter(0, 0);
+            let value = 0;
+            for (let t = stepMs; t <= 500; t += stepMs) value = filter.filter(1, t);
+            return value;
+        };
+        assert.ok(Math.abs(run(8) - run(32)) < 0.1);
+    });
+}
+
+test('predictAxis looks ahead along the filter velocity', () => {
+    const filter = { velocity: () => 2 };
+    close(predictAxis(filter, 1, 50), 1.1);
+    assert.equal(predictAxis(filter, 1, 0), 1);
+});
+
+test('one euro velocity follows a constant-speed ramp at camera frame rates', () => {
+    for (const hz of [30, 60]) {
+        const filter = createFilter('oneeuro');
+        const speed = 0.8; // units per second
+        for (let i = 0; i <= 2 * hz; i++) {
+            const t = i * 1000 / hz;
+            filter.filter(speed * t / 1000, t);
+        }
+        assert.ok(Math.abs(filter.velocity() - speed) < 0.02, `${hz} Hz: ${filter.velocity()}`);
+    }
+});
+
+test('blendPose eases from start to end', () => {
+    const from = { x: 0, y: 0, z: 60 };
+    const to = { x: 1, y: -1, z: 30 };
+    assert.deepEqual(blendPose(from, to, 0), from);
+    assert.deepEqual(blendPose(from, to, 1), to);
+    assert.deepEqual(blendPose(from, to, 2), to);
+    const mid = blendPose(from, to, 0.5);
+    close(mid.x, 0.5);
+    close(mid.z, 45);
+});